@@ -0,0 +1,51 @@
+// Location check-ins for the treasure spots. A location in locations.json with
+// latitude, longitude and radiusMeters is geofenced: the team's phone reports
+// its position and the phase is only accepted once it was inside the circle
+// (or an admin checked the team in by hand). Locations without coordinates
+// need no check-in.
+
+// Locations a phase needs check-ins at before it is accepted. Location 2 is
+// on the way to the final spot, so both count towards Phase 6.
+const CHECK_INS = {
+    6: ['phase5-location2', 'phase6']
+};
+const CHECK_IN_LOCATIONS = Object.values(CHECK_INS).flat();
+
+// A fix rougher than this can't tell neighbouring buildings apart
+const MAX_ACCURACY_METERS = 150;
+
+const EARTH_RADIUS_METERS = 6371000;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+// Great-circle (haversine) distance between two { latitude, longitude } points
+function distanceMeters(a, b) {
+    const dLat = toRadians(b.latitude - a.latitude);
+    const dLng = toRadians(b.longitude - a.longitude);
+    const h = Math.sin(dLat / 2) ** 2
+        + Math.cos(toRadians(a.latitude)) * Math.cos(toRadians(b.latitude)) * Math.sin(dLng / 2) ** 2;
+    return 2 * EARTH_RADIUS_METERS * Math.asin(Math.sqrt(h));
+}
+
+function createGeofence(locations = {}) {
+    const isFenced = (id) => locations[id]?.latitude !== undefined;
+
+    // Geofenced locations the team still has to check in at for this phase
+    function missingFor(team, phase) {
+        return (CHECK_INS[phase] || []).filter(id => isFenced(id) && !team.locationCheckins?.[id]?.verified);
+    }
+
+    // Whether a reported position is at the location. The fix's own accuracy
+    // counts in the team's favour, but never by more than the radius itself.
+    function check(id, { latitude, longitude, accuracy }) {
+        const location = locations[id];
+        const distance = Math.round(distanceMeters(location, { latitude, longitude }));
+        return {
+            distance,
+            verified: distance <= location.radiusMeters + Math.min(accuracy, location.radiusMeters)
+        };
+    }
+
+    return { isFenced, missingFor, check };
+}
+
+module.exports = { createGeofence, distanceMeters, CHECK_INS, CHECK_IN_LOCATIONS, MAX_ACCURACY_METERS };
@@ -0,0 +1,55 @@
+// QR checkpoints for the location-based phases. Each printed QR code opens
+// /phaseN?cp=<token>; the token is the checkpoint id plus an HMAC of it, so
+// it can't be guessed from the URL of another checkpoint. A team that
+// reaches a phase has to scan that phase's code before its routes unlock.
+
+const crypto = require('crypto');
+
+// Phase 1 starts straight from registration, so it has no checkpoint
+const CHECKPOINTS = [
+    { id: 'phase2', phase: 2, path: '/phase2', label: 'Phase 2 - AI Quiz Challenge' },
+    { id: 'phase3', phase: 3, path: '/phase3', label: 'Phase 3 - Code Output Prediction' },
+    { id: 'phase4', phase: 4, path: '/phase4', label: 'Phase 4 - Debug the Room' },
+    { id: 'phase5', phase: 5, path: '/phase5', label: 'Phase 5 - Logic Riddles' },
+    { id: 'phase6', phase: 6, path: '/phase6', label: 'Phase 6 - Campus Treasure Hunt' }
+];
+
+// Every QR code organizers put up, in hunt order. The Phase 1 and Location 2
+// codes are plain links; the rest carry a checkpoint token.
+const QR_CODES = [
+    { id: 'phase1', path: '/phase1', label: 'Phase 1 - AI Image Generation' },
+    ...CHECKPOINTS.filter(cp => cp.phase < 6),
+    { id: 'phase5-location2', path: '/phase5-location2', label: 'Phase 5 - Location 2' },
+    ...CHECKPOINTS.filter(cp => cp.phase === 6)
+];
+
+function createCheckpoints({ secret }) {
+    const sign = (id) => crypto.createHmac('sha256', secret).update(`checkpoint:${id}`).digest('base64url').slice(0, 22);
+
+    // Token printed in the QR code for a checkpoint
+    function tokenFor(id) {
+        return `${id}.${sign(id)}`;
+    }
+
+    // Returns the checkpoint a token belongs to, or null if it is forged or unknown
+    function verify(token) {
+        const [id, signature] = String(token || '').split('.');
+        const checkpoint = CHECKPOINTS.find(cp => cp.id === id);
+        if (!checkpoint || !signature) return null;
+        const expected = Buffer.from(sign(id));
+        const given = Buffer.from(signature);
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected) ? checkpoint : null;
+    }
+
+    const forPhase = (phase) => CHECKPOINTS.find(cp => cp.phase === phase) || null;
+
+    // Address a printed code opens; baseUrl is the site root without a trailing slash
+    function urlFor(code, baseUrl) {
+        const signed = CHECKPOINTS.some(cp => cp.id === code.id);
+        return `${baseUrl}${code.path}${signed ? `?cp=${encodeURIComponent(tokenFor(code.id))}` : ''}`;
+    }
+
+    return { list: CHECKPOINTS, codes: QR_CODES, tokenFor, verify, forPhase, urlFor };
+}
+
+module.exports = { createCheckpoints, CHECKPOINTS, QR_CODES };
@@ -0,0 +1,63 @@
+const QRCode = require('qrcode');
+
+// Print-ready HTML sheet of every QR code, one A4 page each. The codes are
+// drawn here as inline SVG, so nothing is sent to an outside QR service;
+// organizers print it or "Save as PDF" from the browser.
+
+// Medium error correction keeps a scuffed or taped-over code scannable
+const qrSvg = (url) => QRCode.toString(url, { type: 'svg', margin: 1, errorCorrectionLevel: 'M' });
+
+const escapeHtml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const SHEET_STYLES = `
+    @page { size: A4; margin: 15mm; }
+    * { box-sizing: border-box; }
+    body { margin: 0; font-family: Arial, Helvetica, sans-serif; color: #000; background: #fff; }
+    .toolbar { padding: 12px 20px; background: #111; color: #FFD700; display: flex; gap: 20px; align-items: center; }
+    .toolbar button { padding: 8px 18px; font-size: 1rem; cursor: pointer; }
+    .page { page-break-after: always; min-height: 260mm; padding: 10mm 0; text-align: center; display: flex; flex-direction: column; align-items: center; justify-content: center; }
+    .page:last-child { page-break-after: auto; }
+    .edition { font-size: 14pt; letter-spacing: 3px; text-transform: uppercase; margin: 0; }
+    .label { font-size: 28pt; margin: 6mm 0 3mm; }
+    .location { font-size: 16pt; margin: 0 0 8mm; }
+    .blank { display: inline-block; min-width: 90mm; border-bottom: 1px solid #000; }
+    .qr svg { width: 130mm; height: 130mm; }
+    .hint { font-size: 13pt; margin: 8mm 0 2mm; }
+    .url { font-size: 8pt; color: #555; word-break: break-all; max-width: 170mm; margin: 0; }
+    @media print { .toolbar { display: none; } }
+`;
+
+// codes: [{ label, url, location }] in the order they should print
+async function renderQrSheet({ edition, baseUrl, codes }) {
+    const pages = await Promise.all(codes.map(async (code) => `
+    <section class="page">
+        <p class="edition">${escapeHtml(edition)}</p>
+        <h1 class="label">${escapeHtml(code.label)}</h1>
+        <p class="location">📍 ${code.location ? escapeHtml(code.location) : '<span class="blank"></span>'}</p>
+        <div class="qr">${await qrSvg(code.url)}</div>
+        <p class="hint">Scan with your phone camera to continue</p>
+        <p class="url">${escapeHtml(code.url)}</p>
+    </section>`));
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>${escapeHtml(edition)} QR codes</title>
+<style>${SHEET_STYLES}</style>
+</head>
+<body>
+    <div class="toolbar">
+        <button onclick="window.print()">Print / Save as PDF</button>
+        <span>${codes.length} codes for ${escapeHtml(baseUrl)}</span>
+    </div>${pages.join('')}
+</body>
+</html>
+`;
+}
+
+module.exports = { renderQrSheet, qrSvg };
@@ -0,0 +1,413 @@
+const fs = require('fs');
+const path = require('path');
+const { DEFAULT_RULES } = require('../scoring');
+const { JUDGED_PHASES } = require('../judging');
+const { QR_CODES } = require('../checkpoints');
+const { CHECK_IN_LOCATIONS } = require('../checkpoints/geofence');
+const { runC, normalizeOutput } = require('../interpreter');
+
+// Question banks live in a content directory (default: content/2026) so the
+// next edition only needs new JSON files, not route changes:
+//   manifest.json  { edition, version, schemaVersion, themes: [{ name, pack? }] }
+//   phase2.json    { timeLimitSeconds?, questions: [{ id, question, options[], correctAnswer }] }
+//   phase3.json    { timeLimitSeconds?, passingScore, questions: [{ id, code, question, options[], correctAnswer, verify? }] }
+//   phase4.json    { code, expectedOutput, maxEditedLines?, hints[], hintThresholds?, room }
+//   phase5.json    { riddles: [{ id, type: "mcq" | "text" | "maze", riddle, options[] + correctAnswer | acceptedAnswers[] }] }
+//   scoring.json   optional leaderboard rules { phasePoints, timeBonus, penalties } (see scoring/index.js)
+//   judging.json   optional judging panel { aggregate?, outlierThreshold?, minJudges?, phases?: { "1" | "6": { title, criteria: { name: maxPoints } } } } (see judging/index.js)
+//   locations.json optional { "<QR code id>": { name, latitude?, longitude?, radiusMeters? } } - where each QR code is put up
+//                  (see checkpoints/index.js); coordinates make it a geofenced check-in (see checkpoints/geofence.js)
+// Multi-line fields (code, riddle, expectedOutput) may be a string or an array of lines.
+// Phase 3 snippets are run through the C-subset interpreter and the option
+// marked correct must be what the code really prints ("verify": false skips a
+// snippet the interpreter can't run). Phases without timeLimitSeconds are untimed. Phase 4 hint i unlocks after
+// hintThresholds[i] wrong answers (default: one hint every 2 wrong answers).
+// A "maze" riddle is generated per team (see maze.js): its riddle text holds a
+// {maze} placeholder and it takes size? (4-10, default 6), optionCount? (2-6,
+// default 4) and perTeam? (default true; false gives every team the same maze).
+//
+// Each registration theme may point at a pack directory (relative to the
+// content directory) holding its own phase2/phase3/phase5.json. Files a pack
+// leaves out fall back to the shared ones above; Phase 4 is always shared.
+
+const SCHEMA_VERSION = 2;
+const DEFAULT_CONTENT_DIR = path.join(__dirname, '2026');
+
+const isNonEmptyString = (v) => typeof v === 'string' && v.trim().length > 0;
+const isText = (v) => isNonEmptyString(v) || (Array.isArray(v) && v.length > 0 && v.every(l => typeof l === 'string'));
+const toText = (v) => Array.isArray(v) ? v.join('\n') : v;
+
+function readJson(dir, file, errors) {
+    const filePath = path.join(dir, file);
+    if (!fs.existsSync(filePath)) {
+        errors.push(`${file}: file is missing`);
+        return null;
+    }
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        errors.push(`${file}: invalid JSON - ${error.message}`);
+        return null;
+    }
+}
+
+// Pushes "file: path message" for every failed expectation
+function checker(file, errors) {
+    return (ok, where, message) => {
+        if (!ok) errors.push(`${file}: ${where} ${message}`);
+        return ok;
+    };
+}
+
+// Like checker(), for problems that shouldn't stop the server
+function warner(file, warnings) {
+    return (where, message) => warnings.push(`${file}: ${where} ${message}`);
+}
+
+function checkIds(items, where, check) {
+    const seen = new Set();
+    items.forEach((item, i) => {
+        if (check(Number.isInteger(item?.id), `${where}[${i}].id`, 'must be an integer')) {
+            check(!seen.has(item.id), `${where}[${i}].id`, `duplicates id ${item.id}`);
+            seen.add(item.id);
+        }
+    });
+}
+
+function checkMcq(item, where, check) {
+    if (!check(Array.isArray(item.options) && item.options.length >= 2, `${where}.options`, 'must be an array of at least 2 options')) return;
+    item.options.forEach((opt, j) => check(isNonEmptyString(opt), `${where}.options[${j}]`, 'must be a non-empty string'));
+    check(
+        Number.isInteger(item.correctAnswer) && item.correctAnswer >= 0 && item.correctAnswer < item.options.length,
+        `${where}.correctAnswer`,
+        `must be an option index (0-${item.options.length - 1})`
+    );
+}
+
+function checkTimeLimit(data, check) {
+    if (data.timeLimitSeconds === undefined) return;
+    check(Number.isInteger(data.timeLimitSeconds) && data.timeLimitSeconds > 0, 'timeLimitSeconds', 'must be a positive integer');
+}
+
+function validateManifest(data, check) {
+    check(isNonEmptyString(data.edition), 'edition', 'must be a non-empty string');
+    check(isNonEmptyString(data.version), 'version', 'must be a non-empty string');
+    check(data.schemaVersion === SCHEMA_VERSION, 'schemaVersion', `must be ${SCHEMA_VERSION} (this server's content schema)`);
+    if (!check(Array.isArray(data.themes) && data.themes.length > 0, 'themes', 'must be a non-empty array')) return;
+    const seen = new Set();
+    data.themes.forEach((t, i) => {
+        if (check(isNonEmptyString(t?.name), `themes[${i}].name`, 'must be a non-empty string')) {
+            check(!seen.has(t.name), `themes[${i}].name`, `duplicates theme "${t.name}"`);
+            seen.add(t.name);
+        }
+        if (t?.pack !== undefined) {
+            check(isNonEmptyString(t.pack), `themes[${i}].pack`, 'must be a directory name');
+        }
+    });
+}
+
+function validatePhase2(data, check) {
+    checkTimeLimit(data, check);
+    if (!check(Array.isArray(data.questions) && data.questions.length > 0, 'questions', 'must be a non-empty array')) return;
+    checkIds(data.questions, 'questions', check);
+    data.questions.forEach((q, i) => {
+        check(isNonEmptyString(q.question), `questions[${i}].question`, 'must be a non-empty string');
+        checkMcq(q, `questions[${i}]`, check);
+    });
+}
+
+function validatePhase3(data, check) {
+    checkTimeLimit(data, check);
+    if (!check(Array.isArray(data.questions) && data.questions.length > 0, 'questions', 'must be a non-empty array')) return;
+    checkIds(data.questions, 'questions', check);
+    data.questions.forEach((q, i) => {
+        check(isText(q.code), `questions[${i}].code`, 'must be a string or an array of lines');
+        check(isNonEmptyString(q.question), `questions[${i}].question`, 'must be a non-empty string');
+        checkMcq(q, `questions[${i}]`, check);
+        if (q.verify !== undefined) check(typeof q.verify === 'boolean', `questions[${i}].verify`, 'must be true or false');
+    });
+    check(
+        Number.isInteger(data.passingScore) && data.passingScore >= 1 && data.passingScore <= data.questions.length,
+        'passingScore',
+        `must be an integer between 1 and ${data.questions.length}`
+    );
+}
+
+// Runs every snippet of an otherwise valid phase3.json and compares its real
+// output with the option marked correct
+function verifyPhase3(data, check, warn) {
+    data.questions.forEach((q, i) => {
+        if (q.verify === false) return;
+        const where = `questions[${i}]`;
+        const run = runC(toText(q.code));
+        if (!run.ok) {
+            const [first] = run.errors;
+            warn(where, `could not be verified - the C-subset interpreter reports "line ${first.line}: ${first.message}" (set "verify": false to skip it)`);
+            return;
+        }
+
+        const actual = normalizeOutput(run.output);
+        const marked = normalizeOutput(q.options[q.correctAnswer]);
+        if (actual === marked) return;
+        const printed = q.options.findIndex(option => normalizeOutput(option) === actual);
+        check(false, `${where}.correctAnswer`, printed === -1
+            ? `marks "${marked}" but the code prints "${actual}", which is not one of the options`
+            : `marks option ${q.correctAnswer} ("${marked}") but the code prints option ${printed} ("${actual}")`);
+    });
+}
+
+function validatePhase4(data, check) {
+    check(isText(data.code), 'code', 'must be a string or an array of lines');
+    check(Array.isArray(data.hints) && data.hints.every(isNonEmptyString), 'hints', 'must be an array of strings');
+    if (data.hintThresholds !== undefined) {
+        const t = data.hintThresholds;
+        check(
+            Array.isArray(t) && t.every((n, i) => Number.isInteger(n) && n > 0 && (i === 0 || n > t[i - 1])),
+            'hintThresholds', 'must be an increasing array of positive integers'
+        );
+        check(!Array.isArray(data.hints) || !Array.isArray(t) || t.length <= data.hints.length,
+            'hintThresholds', 'must not have more entries than hints');
+    }
+    check(isText(data.expectedOutput), 'expectedOutput', 'must be a string or an array of lines');
+    if (data.maxEditedLines !== undefined) {
+        check(Number.isInteger(data.maxEditedLines) && data.maxEditedLines > 0, 'maxEditedLines', 'must be a positive integer');
+    }
+    check(isNonEmptyString(data.room), 'room', 'must be a non-empty string');
+}
+
+function validatePhase5(data, check) {
+    if (!check(Array.isArray(data.riddles) && data.riddles.length > 0, 'riddles', 'must be a non-empty array')) return;
+    checkIds(data.riddles, 'riddles', check);
+    data.riddles.forEach((r, i) => {
+        const where = `riddles[${i}]`;
+        check(isText(r.riddle), `${where}.riddle`, 'must be a string or an array of lines');
+        if (r.type === 'mcq') {
+            checkMcq(r, where, check);
+        } else if (r.type === 'text') {
+            check(Array.isArray(r.acceptedAnswers) && r.acceptedAnswers.length > 0 && r.acceptedAnswers.every(isNonEmptyString),
+                `${where}.acceptedAnswers`, 'must be a non-empty array of strings');
+        } else if (r.type === 'maze') {
+            check(isText(r.riddle) && toText(r.riddle).includes('{maze}'), `${where}.riddle`, 'must contain a {maze} placeholder');
+            if (r.size !== undefined) {
+                check(Number.isInteger(r.size) && r.size >= 4 && r.size <= 10, `${where}.size`, 'must be an integer from 4 to 10');
+            }
+            if (r.optionCount !== undefined) {
+                check(Number.isInteger(r.optionCount) && r.optionCount >= 2 && r.optionCount <= 6, `${where}.optionCount`, 'must be an integer from 2 to 6');
+            }
+            if (r.perTeam !== undefined) {
+                check(typeof r.perTeam === 'boolean', `${where}.perTeam`, 'must be true or false');
+            }
+        } else {
+            check(false, `${where}.type`, 'must be "mcq", "text" or "maze"');
+        }
+    });
+}
+
+// Every key must be one scoring/index.js knows, so a typo can't silently fall back to a default
+function validateScoring(data, check) {
+    for (const [section, defaults] of Object.entries(DEFAULT_RULES)) {
+        const rules = data[section];
+        if (rules === undefined) continue;
+        if (!check(rules && typeof rules === 'object' && !Array.isArray(rules), section, 'must be an object')) continue;
+        for (const [key, value] of Object.entries(rules)) {
+            if (!check(key in defaults, `${section}.${key}`, `is not a known rule (${Object.keys(defaults).join(', ')})`)) continue;
+            check(typeof value === 'number' && value >= 0, `${section}.${key}`, 'must be a non-negative number');
+        }
+    }
+    for (const section of Object.keys(data)) {
+        check(section in DEFAULT_RULES, section, `is not a known section (${Object.keys(DEFAULT_RULES).join(', ')})`);
+    }
+}
+
+function validateJudging(data, check) {
+    if (data.aggregate !== undefined) {
+        check(['mean', 'median'].includes(data.aggregate), 'aggregate', 'must be "mean" or "median"');
+    }
+    if (data.outlierThreshold !== undefined) {
+        check(typeof data.outlierThreshold === 'number' && data.outlierThreshold >= 0, 'outlierThreshold', 'must be a non-negative number');
+    }
+    if (data.minJudges !== undefined) {
+        check(Number.isInteger(data.minJudges) && data.minJudges > 0, 'minJudges', 'must be a positive integer');
+    }
+    if (data.phases === undefined) return;
+    if (!check(data.phases && typeof data.phases === 'object' && !Array.isArray(data.phases), 'phases', 'must be an object')) return;
+    for (const [phase, rubric] of Object.entries(data.phases)) {
+        const where = `phases.${phase}`;
+        if (!check(JUDGED_PHASES.includes(phase), where, `is not a judged phase (${JUDGED_PHASES.join(', ')})`)) continue;
+        check(isNonEmptyString(rubric?.title), `${where}.title`, 'must be a non-empty string');
+        const criteria = rubric?.criteria;
+        if (!check(criteria && typeof criteria === 'object' && Object.keys(criteria).length > 0, `${where}.criteria`, 'must be a non-empty object')) continue;
+        for (const [name, max] of Object.entries(criteria)) {
+            check(/^[a-zA-Z][a-zA-Z0-9]*$/.test(name), `${where}.criteria.${name}`, 'must be named with letters and digits only');
+            check(Number.isInteger(max) && max > 0, `${where}.criteria.${name}`, 'must be a positive integer (the most points it can award)');
+        }
+    }
+}
+
+function validateLocations(data, check) {
+    const ids = QR_CODES.map(code => code.id);
+    for (const [id, location] of Object.entries(data)) {
+        if (!check(ids.includes(id), id, `is not a QR code (${ids.join(', ')})`)) continue;
+        check(isNonEmptyString(location?.name), `${id}.name`, 'must be a non-empty string');
+
+        const fence = ['latitude', 'longitude', 'radiusMeters'].filter(key => location?.[key] !== undefined);
+        if (fence.length === 0) continue;
+        if (!check(CHECK_IN_LOCATIONS.includes(id), id, `has coordinates but only ${CHECK_IN_LOCATIONS.join(', ')} take check-ins`)) continue;
+        if (!check(fence.length === 3, id, 'needs latitude, longitude and radiusMeters together')) continue;
+        check(typeof location.latitude === 'number' && Math.abs(location.latitude) <= 90, `${id}.latitude`, 'must be a number from -90 to 90');
+        check(typeof location.longitude === 'number' && Math.abs(location.longitude) <= 180, `${id}.longitude`, 'must be a number from -180 to 180');
+        check(typeof location.radiusMeters === 'number' && location.radiusMeters > 0, `${id}.radiusMeters`, 'must be a positive number');
+    }
+}
+
+const SHARED_FILES = {
+    manifest: ['manifest.json', validateManifest],
+    phase2: ['phase2.json', validatePhase2],
+    phase3: ['phase3.json', validatePhase3],
+    phase4: ['phase4.json', validatePhase4],
+    phase5: ['phase5.json', validatePhase5]
+};
+
+// Checks that execute content, run once the file's structure is valid
+const VERIFIERS = { phase3: verifyPhase3 };
+
+// Phases whose question sets a theme pack can replace
+const PACK_FILES = ['phase2', 'phase3', 'phase5'];
+
+function buildQuestionSet(raw) {
+    return {
+        phase2: {
+            timeLimitSeconds: raw.phase2.timeLimitSeconds ?? null,
+            questions: raw.phase2.questions
+        },
+        phase3: {
+            timeLimitSeconds: raw.phase3.timeLimitSeconds ?? null,
+            passingScore: raw.phase3.passingScore,
+            questions: raw.phase3.questions.map(q => ({ ...q, code: toText(q.code) }))
+        },
+        phase5: {
+            riddles: raw.phase5.riddles.map(r => ({ ...r, riddle: toText(r.riddle) }))
+        }
+    };
+}
+
+// Load and validate every content file. Throws one Error listing all problems;
+// problems that don't block startup come back as content.warnings.
+function loadContent(dir = DEFAULT_CONTENT_DIR) {
+    const errors = [];
+    const warnings = [];
+    const raw = {};
+
+    const validateFile = (key, data, label) => {
+        const before = errors.length;
+        SHARED_FILES[key][1](data, checker(label, errors));
+        if (VERIFIERS[key] && errors.length === before) {
+            VERIFIERS[key](data, checker(label, errors), warner(label, warnings));
+        }
+    };
+
+    if (!fs.existsSync(dir)) {
+        throw new Error(`Content directory not found: ${dir}`);
+    }
+
+    for (const [key, [file]] of Object.entries(SHARED_FILES)) {
+        raw[key] = readJson(dir, file, errors);
+        if (raw[key]) {
+            validateFile(key, raw[key], file);
+        }
+    }
+
+    raw.scoring = {};
+    if (fs.existsSync(path.join(dir, 'scoring.json'))) {
+        raw.scoring = readJson(dir, 'scoring.json', errors);
+        if (raw.scoring) validateScoring(raw.scoring, checker('scoring.json', errors));
+    }
+
+    raw.judging = {};
+    if (fs.existsSync(path.join(dir, 'judging.json'))) {
+        raw.judging = readJson(dir, 'judging.json', errors);
+        if (raw.judging) validateJudging(raw.judging, checker('judging.json', errors));
+    }
+
+    raw.locations = {};
+    if (fs.existsSync(path.join(dir, 'locations.json'))) {
+        raw.locations = readJson(dir, 'locations.json', errors);
+        if (raw.locations) validateLocations(raw.locations, checker('locations.json', errors));
+    }
+
+    // Theme packs - only the files present in a pack override the shared set
+    const packs = {};
+    const themes = Array.isArray(raw.manifest?.themes) ? raw.manifest.themes.filter(t => isNonEmptyString(t?.name)) : [];
+    for (const theme of themes) {
+        packs[theme.name] = {};
+        if (!theme.pack) continue;
+
+        const packDir = path.join(dir, theme.pack);
+        if (!fs.existsSync(packDir)) {
+            errors.push(`manifest.json: pack "${theme.pack}" for theme "${theme.name}" does not exist`);
+            continue;
+        }
+        for (const key of PACK_FILES) {
+            const [file] = SHARED_FILES[key];
+            if (!fs.existsSync(path.join(packDir, file))) continue;
+            const label = `${theme.pack}/${file}`;
+            const data = readJson(packDir, file, errors);
+            if (data) {
+                validateFile(key, data, label);
+                packs[theme.name][key] = data;
+            }
+        }
+    }
+
+    if (errors.length > 0) {
+        const error = new Error(`Invalid content in ${dir}:\n  - ${errors.join('\n  - ')}`);
+        error.contentErrors = errors;
+        throw error;
+    }
+
+    const shared = buildQuestionSet(raw);
+    const questionSets = {};
+    for (const [name, overrides] of Object.entries(packs)) {
+        questionSets[name] = buildQuestionSet({ ...raw, ...overrides });
+    }
+
+    return {
+        dir,
+        warnings,
+        edition: raw.manifest.edition,
+        version: raw.manifest.version,
+        themes: raw.manifest.themes.map(t => t.name),
+        // Question set for a team's theme; unknown themes get the shared set
+        questionSetFor: (theme) => questionSets[theme] || shared,
+        scoring: raw.scoring,
+        judging: raw.judging,
+        locations: raw.locations,
+        phase4: {
+            code: toText(raw.phase4.code),
+            hints: raw.phase4.hints,
+            hintThresholds: raw.phase4.hintThresholds || raw.phase4.hints.map((_, i) => (i + 1) * 2),
+            expectedOutput: toText(raw.phase4.expectedOutput),
+            maxEditedLines: raw.phase4.maxEditedLines ?? null,
+            room: raw.phase4.room
+        }
+    };
+}
+
+// CLI: `npm run check-content [-- <dir>]`
+if (require.main === module) {
+    const dir = process.argv[2] ? path.resolve(process.argv[2]) : DEFAULT_CONTENT_DIR;
+    try {
+        const content = loadContent(dir);
+        console.log(`✅ ${content.edition} content v${content.version} is valid (${dir})`);
+        content.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+        content.themes.forEach(theme => {
+            const set = content.questionSetFor(theme);
+            console.log(`   ${theme}: ${set.phase2.questions.length} quiz, ${set.phase3.questions.length} code, ${set.phase5.riddles.length} riddles`);
+        });
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        process.exit(1);
+    }
+}
+
+module.exports = { loadContent, DEFAULT_CONTENT_DIR };
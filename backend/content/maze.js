@@ -0,0 +1,146 @@
+const { seededRandom, permutation } = require('./shuffle');
+
+// Procedural mazes for the Phase 5 "right/down" riddle. Every maze has exactly
+// one path from S (top-left) to E (bottom-right) that only moves right or down;
+// the same seed always produces the same maze, options and answer.
+
+const RIGHT = '→';
+const DOWN = '↓';
+const WALL_CHANCE = 0.35;
+
+// Number of right/down paths from S to E over open cells (grid[r][c] === true)
+function countPaths(grid) {
+    const size = grid.length;
+    const ways = grid.map(row => row.map(() => 0));
+    for (let r = 0; r < size; r++) {
+        for (let c = 0; c < size; c++) {
+            if (!grid[r][c]) continue;
+            if (r === 0 && c === 0) {
+                ways[r][c] = 1;
+                continue;
+            }
+            ways[r][c] = (r > 0 ? ways[r - 1][c] : 0) + (c > 0 ? ways[r][c - 1] : 0);
+        }
+    }
+    return ways[size - 1][size - 1];
+}
+
+// Moves of the first right/down path found (depth-first, right before down), or null
+function solveMaze(grid) {
+    const size = grid.length;
+    const dead = new Set();
+
+    const walk = (r, c) => {
+        if (r >= size || c >= size || !grid[r][c] || dead.has(`${r},${c}`)) return null;
+        if (r === size - 1 && c === size - 1) return [];
+        const right = walk(r, c + 1);
+        if (right) return [RIGHT, ...right];
+        const down = walk(r + 1, c);
+        if (down) return [DOWN, ...down];
+        dead.add(`${r},${c}`);
+        return null;
+    };
+
+    return walk(0, 0);
+}
+
+// How many moves of a sequence can be made before it hits a wall or leaves the grid
+function stepsBeforeWall(grid, moves) {
+    let r = 0;
+    let c = 0;
+    for (let i = 0; i < moves.length; i++) {
+        if (moves[i] === RIGHT) c++;
+        else r++;
+        if (r >= grid.length || c >= grid.length || !grid[r][c]) return i;
+    }
+    return moves.length;
+}
+
+function generateMaze(size, random) {
+    // Carve a random right/down path first so the maze is always solvable
+    const path = permutation(2 * (size - 1), random).map(i => (i < size - 1 ? RIGHT : DOWN));
+    const grid = Array.from({ length: size }, () => Array(size).fill(false));
+    let r = 0;
+    let c = 0;
+    grid[0][0] = true;
+    for (const move of path) {
+        if (move === RIGHT) c++;
+        else r++;
+        grid[r][c] = true;
+    }
+
+    // Open the remaining cells in random order, keeping only those that don't add a second path
+    for (const index of permutation(size * size, random)) {
+        const row = Math.floor(index / size);
+        const col = index % size;
+        if (grid[row][col] || random() < WALL_CHANCE) continue;
+        grid[row][col] = true;
+        if (countPaths(grid) > 1) grid[row][col] = false;
+    }
+
+    return grid;
+}
+
+// Wrong sequences that start out right: swap adjacent "→↓" pairs of the answer
+// and keep the ones that walk furthest before hitting a wall
+function buildDistractors(grid, answer, count, random) {
+    const key = (moves) => moves.join(' ');
+    const seen = new Set([key(answer)]);
+    let frontier = [answer];
+    const candidates = [];
+
+    while (frontier.length > 0 && candidates.length < count * 3) {
+        const nextFrontier = [];
+        for (const moves of frontier) {
+            for (let i = 0; i < moves.length - 1; i++) {
+                if (moves[i] === moves[i + 1]) continue;
+                const swapped = [...moves];
+                [swapped[i], swapped[i + 1]] = [swapped[i + 1], swapped[i]];
+                if (seen.has(key(swapped))) continue;
+                seen.add(key(swapped));
+                nextFrontier.push(swapped);
+                candidates.push({ moves: swapped, steps: stepsBeforeWall(grid, swapped), tiebreak: random() });
+            }
+        }
+        frontier = nextFrontier;
+    }
+
+    return candidates
+        .sort((a, b) => b.steps - a.steps || a.tiebreak - b.tiebreak)
+        .slice(0, count)
+        .map(candidate => candidate.moves);
+}
+
+function renderGrid(grid) {
+    const size = grid.length;
+    const cell = (r, c) => {
+        if (r === 0 && c === 0) return '[S]';
+        if (r === size - 1 && c === size - 1) return '[E]';
+        return grid[r][c] ? '[.]' : '[#]';
+    };
+    const header = '    ' + grid.map((_, c) => `C${c}`.padEnd(4)).join('').trimEnd();
+    const rows = grid.map((row, r) => `R${r}: ` + row.map((_, c) => cell(r, c)).join(' '));
+    return [header, ...rows].join('\n');
+}
+
+// Turns a { type: "maze" } riddle into the MCQ a team sees. `{maze}` in the
+// riddle text is replaced by the grid; options are shuffled with the same seed.
+function buildMazeRiddle(riddle, seed) {
+    const random = seededRandom(seed);
+    const size = riddle.size ?? 6;
+    const grid = generateMaze(size, random);
+    const answer = solveMaze(grid);
+    const distractors = buildDistractors(grid, answer, (riddle.optionCount ?? 4) - 1, random);
+
+    const sequences = [answer, ...distractors];
+    const order = permutation(sequences.length, random);
+    return {
+        id: riddle.id,
+        type: 'mcq',
+        riddle: riddle.riddle.replace('{maze}', renderGrid(grid)),
+        options: order.map(i => sequences[i].join(' ')),
+        correctAnswer: order.indexOf(0)
+    };
+}
+
+module.exports = { buildMazeRiddle, generateMaze, solveMaze, countPaths };
@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+
+// Deterministic per-team shuffling. A team always sees the same order (so a
+// refresh or a second device shows identical questions), but neighbouring
+// teams get different question orders and option positions.
+
+// sfc32 PRNG seeded from a SHA-256 of the seed string
+function seededRandom(seed) {
+    const digest = crypto.createHash('sha256').update(String(seed)).digest();
+    let a = digest.readUInt32LE(0);
+    let b = digest.readUInt32LE(4);
+    let c = digest.readUInt32LE(8);
+    let d = digest.readUInt32LE(12);
+
+    return () => {
+        const t = (((a + b) >>> 0) + d) >>> 0;
+        d = (d + 1) >>> 0;
+        a = b ^ (b >>> 9);
+        b = (c + (c << 3)) >>> 0;
+        c = ((c << 21) | (c >>> 11)) >>> 0;
+        c = (c + t) >>> 0;
+        return t / 4294967296;
+    };
+}
+
+// Fisher-Yates over [0..length-1]; result[i] is the original index shown at position i
+function permutation(length, random) {
+    const order = Array.from({ length }, (_, i) => i);
+    for (let i = length - 1; i > 0; i--) {
+        const j = Math.floor(random() * (i + 1));
+        [order[i], order[j]] = [order[j], order[i]];
+    }
+    return order;
+}
+
+// Reorder MCQ questions and their options for one seed. `correctAnswer` is
+// remapped to the shuffled option position, so scoring a team's answers
+// against the returned list is the same as mapping each answer back through
+// the permutation.
+function shuffleQuestions(questions, seed) {
+    const random = seededRandom(seed);
+    return permutation(questions.length, random).map(index => {
+        const q = questions[index];
+        const optionOrder = permutation(q.options.length, random);
+        return {
+            ...q,
+            options: optionOrder.map(o => q.options[o]),
+            correctAnswer: optionOrder.indexOf(q.correctAnswer)
+        };
+    });
+}
+
+module.exports = { seededRandom, permutation, shuffleQuestions };
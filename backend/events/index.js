@@ -0,0 +1,57 @@
+// In-process event bus for team activity. Routes emit typed events here and
+// the SSE feed at /api/events fans them out: admins get the full payload,
+// everyone else the redacted one from redactEvent().
+
+const { EventEmitter } = require('events');
+
+// Fields each event type may show on the public feed - no ids, emails or answers
+const PUBLIC_FIELDS = {
+    'team.registered': ['teamName', 'theme'],
+    'phase.attempted': ['teamName', 'phase', 'passed'],
+    'phase.completed': ['teamName', 'phase'],
+    'team.deleted': ['teamName', 'all'],
+    'photo.submitted': ['teamName'],
+    // Only the phase, so the public feed can't tie a judge's save to a team
+    'entry.judged': ['phase']
+};
+
+function createEventBus({ historySize = 100 } = {}) {
+    const emitter = new EventEmitter();
+    emitter.setMaxListeners(0);
+    const history = [];
+    let lastId = 0;
+
+    function emit(type, data = {}) {
+        if (!PUBLIC_FIELDS[type]) {
+            throw new Error(`Unknown event type: ${type}`);
+        }
+        const event = { id: ++lastId, type, at: Date.now(), data };
+        history.push(event);
+        if (history.length > historySize) history.shift();
+        emitter.emit('event', event);
+        return event;
+    }
+
+    // Returns an unsubscribe function
+    function subscribe(listener) {
+        emitter.on('event', listener);
+        return () => emitter.off('event', listener);
+    }
+
+    // Events after the given id, for clients reconnecting with Last-Event-ID
+    function since(id) {
+        return history.filter(event => event.id > id);
+    }
+
+    return { emit, subscribe, since };
+}
+
+function redactEvent(event) {
+    const data = {};
+    for (const field of PUBLIC_FIELDS[event.type]) {
+        if (event.data[field] !== undefined) data[field] = event.data[field];
+    }
+    return { ...event, data };
+}
+
+module.exports = { createEventBus, redactEvent };
@@ -0,0 +1,740 @@
+// Sandboxed runner for the C subset in parser.js. Programs are checked like a
+// compiler would (undeclared names, misspelt functions, bad printf formats)
+// before anything runs, then walked as an AST with 32-bit int semantics.
+// Nothing touches the host: the only side effect is the captured stdout, and
+// step/output limits stop runaway loops. Untrusted code (the Phase 4 routes)
+// goes through runCIsolated, which also puts a hard time and memory cap on it
+// and limits how many programs run at once.
+//
+//   runC(source) -> { ok: true, output, exitCode }
+//                 | { ok: false, stage: 'compile' | 'runtime', errors: [{ line, message }], output }
+
+const path = require('path');
+const { Worker } = require('worker_threads');
+const { parse } = require('./parser');
+
+const DEFAULT_LIMITS = { maxSteps: 200000, maxOutput: 10000, maxArrayElements: 100000, maxSourceLength: 20000 };
+const ISOLATED_TIMEOUT_MS = 3000;
+const ISOLATED_MEMORY_MB = 64;
+const MAX_CONCURRENT_RUNS = 2;
+
+// Library functions and the header that declares them
+const BUILTINS = { printf: 'stdio.h', puts: 'stdio.h', putchar: 'stdio.h' };
+
+const FORMAT_SPEC = /%([-+ 0#]*)(\d*)(?:\.(\d+))?([a-zA-Z%])?/g;
+const FORMAT_CONVERSIONS = 'diucsxXo%';
+
+function fail(line, message) {
+    const error = new Error(message);
+    error.line = line;
+    throw error;
+}
+
+function editDistance(a, b) {
+    const row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+        let diagonal = row[0];
+        row[0] = i;
+        for (let j = 1; j <= b.length; j++) {
+            const above = row[j];
+            row[j] = Math.min(row[j] + 1, row[j - 1] + 1, diagonal + (a[i - 1] === b[j - 1] ? 0 : 1));
+            diagonal = above;
+        }
+    }
+    return row[b.length];
+}
+
+// Conversions in a printf format string, e.g. "%d items: %5s" -> ['d', 's']
+function formatConversions(format, line) {
+    const conversions = [];
+    for (const match of format.matchAll(FORMAT_SPEC)) {
+        const conversion = match[4];
+        if (!conversion || !FORMAT_CONVERSIONS.includes(conversion)) {
+            fail(line, `format '${match[0]}' is not supported (use %d, %i, %u, %c, %s, %x, %X, %o or %%)`);
+        }
+        if (conversion !== '%') conversions.push(conversion);
+    }
+    return conversions;
+}
+
+// ============================================
+// COMPILE-TIME CHECKS
+// ============================================
+function analyze(program) {
+    const errors = [];
+    const scopes = [];
+    const reportedUndeclared = new Set();
+    let loopDepth = 0;
+
+    const report = (line, message) => errors.push({ line, message });
+
+    // Runs one check, turning a thrown compile error into a report
+    const attempt = (fn) => {
+        try {
+            fn();
+        } catch (error) {
+            if (error.line === undefined) throw error;
+            report(error.line, error.message);
+        }
+    };
+
+    const lookup = (name) => {
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            if (scopes[i].has(name)) return scopes[i].get(name);
+        }
+        return null;
+    };
+
+    function declare(declarator) {
+        const scope = scopes[scopes.length - 1];
+        if (scope.has(declarator.name)) {
+            report(declarator.line, `redefinition of '${declarator.name}'`);
+            return;
+        }
+        scope.set(declarator.name, { name: declarator.name, rank: declarator.dims.length, isConst: declarator.isConst });
+    }
+
+    // Describes an expression: { kind: 'int' | 'array' | 'string', variable?, rank?, lvalue? }
+    function expression(node) {
+        switch (node.type) {
+            case 'Number':
+                return { kind: 'int' };
+            case 'String':
+                return { kind: 'string' };
+            case 'Identifier': {
+                const variable = lookup(node.name);
+                if (!variable) {
+                    if (!reportedUndeclared.has(node.name)) {
+                        reportedUndeclared.add(node.name);
+                        report(node.line, `'${node.name}' undeclared (first use in this function)`);
+                    }
+                    return { kind: 'unknown' };
+                }
+                return variable.rank
+                    ? { kind: 'array', variable, rank: variable.rank }
+                    : { kind: 'int', variable, lvalue: true };
+            }
+            case 'Index': {
+                const target = expression(node.target);
+                value(node.index);
+                if (target.kind === 'unknown') return target;
+                if (target.kind !== 'array') {
+                    report(node.line, 'subscripted value is not an array');
+                    return { kind: 'unknown' };
+                }
+                return target.rank > 1
+                    ? { kind: 'array', variable: target.variable, rank: target.rank - 1 }
+                    : { kind: 'int', variable: target.variable, lvalue: true };
+            }
+            case 'Unary':
+                value(node.argument);
+                return { kind: 'int' };
+            case 'Update':
+                assignable(node.argument, node.line, 'increment');
+                return { kind: 'int' };
+            case 'Binary':
+            case 'Logical':
+                value(node.left);
+                value(node.right);
+                return { kind: 'int' };
+            case 'Conditional':
+                value(node.test);
+                value(node.consequent);
+                value(node.alternate);
+                return { kind: 'int' };
+            case 'Assign':
+                assignable(node.target, node.line, 'assignment');
+                value(node.value);
+                return { kind: 'int' };
+            case 'Sequence':
+                node.expressions.forEach(value);
+                return { kind: 'int' };
+            case 'Call':
+                call(node);
+                return { kind: 'int' };
+            default:
+                throw new Error(`Unknown expression ${node.type}`);
+        }
+    }
+
+    // An expression used where an int is needed
+    function value(node) {
+        const info = expression(node);
+        if (info.kind === 'array') {
+            report(node.line, `array '${info.variable.name}' can't be used as a value here - index it, e.g. ${info.variable.name}[i]`);
+        } else if (info.kind === 'string') {
+            report(node.line, 'string constants can only be passed to printf/puts in this C subset');
+        }
+    }
+
+    function assignable(node, line, what) {
+        const info = expression(node);
+        if (info.kind === 'unknown') return;
+        if (!info.lvalue) {
+            report(line, `lvalue required as ${what === 'increment' ? 'increment operand' : 'left operand of assignment'}`);
+        } else if (info.variable.isConst) {
+            report(line, `assignment of read-only variable '${info.variable.name}'`);
+        }
+    }
+
+    function call(node) {
+        const header = BUILTINS[node.name];
+        if (!header) {
+            const suggestion = Object.keys(BUILTINS).find(name => editDistance(name, node.name) <= 2);
+            report(node.line, `implicit declaration of function '${node.name}'${suggestion ? `; did you mean '${suggestion}'?` : ''}`);
+            node.args.forEach(arg => expression(arg));
+            return;
+        }
+        if (!program.includes.has(header)) {
+            report(node.line, `implicit declaration of function '${node.name}' - include '<${header}>'`);
+        }
+
+        if (node.name === 'printf') {
+            const [format, ...args] = node.args;
+            if (!format || format.type !== 'String') {
+                report(node.line, 'printf needs a string constant as its format');
+                node.args.forEach(arg => expression(arg));
+                return;
+            }
+            attempt(() => {
+                const conversions = formatConversions(format.value, node.line);
+                if (conversions.length !== args.length) {
+                    report(node.line, `printf format expects ${conversions.length} argument${conversions.length === 1 ? '' : 's'} but ${args.length} ${args.length === 1 ? 'was' : 'were'} given`);
+                }
+                args.forEach((arg, i) => {
+                    if (conversions[i] === 's') {
+                        if (arg.type !== 'String') report(arg.line, "'%s' needs a string constant in this C subset");
+                    } else {
+                        value(arg);
+                    }
+                });
+            });
+        } else if (node.name === 'puts') {
+            if (node.args.length !== 1 || node.args[0].type !== 'String') report(node.line, 'puts needs one string constant');
+        } else {
+            if (node.args.length !== 1) report(node.line, `${node.name} takes exactly one argument`);
+            node.args.forEach(value);
+        }
+    }
+
+    function initializer(init, rank, line, name) {
+        if (init.type === 'InitList') {
+            if (rank === 0) {
+                report(line, `braces around scalar initializer for '${name}'`);
+                return;
+            }
+            init.items.forEach(item => (item.type === 'InitList' ? initializer(item, rank - 1, line, name) : value(item)));
+        } else if (rank > 0) {
+            report(line, `array '${name}' must be initialized with a brace-enclosed list`);
+        } else {
+            value(init);
+        }
+    }
+
+    function declaration(node) {
+        for (const declarator of node.declarators) {
+            declarator.dims.forEach((dim, i) => {
+                if (dim === null) {
+                    if (i > 0 || !declarator.init) report(declarator.line, `array size missing in '${declarator.name}'`);
+                } else {
+                    value(dim);
+                }
+            });
+            if (declarator.init) initializer(declarator.init, declarator.dims.length, declarator.line, declarator.name);
+            declare(declarator);
+        }
+    }
+
+    function statement(node) {
+        switch (node.type) {
+            case 'Block':
+                scopes.push(new Map());
+                node.body.forEach(statement);
+                scopes.pop();
+                break;
+            case 'Decl':
+                declaration(node);
+                break;
+            case 'ExprStmt':
+                expression(node.expression);
+                break;
+            case 'If':
+                value(node.test);
+                statement(node.consequent);
+                if (node.alternate) statement(node.alternate);
+                break;
+            case 'While':
+            case 'DoWhile':
+                value(node.test);
+                loopDepth++;
+                statement(node.body);
+                loopDepth--;
+                break;
+            case 'For':
+                scopes.push(new Map());
+                if (node.init) statement(node.init);
+                if (node.test) value(node.test);
+                if (node.update) expression(node.update);
+                loopDepth++;
+                statement(node.body);
+                loopDepth--;
+                scopes.pop();
+                break;
+            case 'Break':
+            case 'Continue':
+                if (loopDepth === 0) report(node.line, `${node.type.toLowerCase()} statement not within a loop`);
+                break;
+            case 'Return':
+                if (node.argument) value(node.argument);
+                break;
+            case 'Empty':
+                break;
+            default:
+                throw new Error(`Unknown statement ${node.type}`);
+        }
+    }
+
+    scopes.push(new Map());
+    program.globals.forEach(declaration);
+    statement(program.main.body);
+
+    return errors.sort((a, b) => a.line - b.line);
+}
+
+// ============================================
+// EXECUTION
+// ============================================
+function toInt32(n) {
+    return n | 0;
+}
+
+function formatPrintf(format, args, line, maxWidth) {
+    let argIndex = 0;
+    return format.replace(FORMAT_SPEC, (spec, flags, width, precision, conversion) => {
+        if (conversion === '%') return '%';
+        const arg = args[argIndex++];
+        let text;
+        switch (conversion) {
+            case 'd':
+            case 'i':
+                text = String(arg);
+                if (arg >= 0 && flags.includes('+')) text = '+' + text;
+                else if (arg >= 0 && flags.includes(' ')) text = ' ' + text;
+                break;
+            case 'u':
+                text = String(arg >>> 0);
+                break;
+            case 'x':
+                text = (arg >>> 0).toString(16);
+                break;
+            case 'X':
+                text = (arg >>> 0).toString(16).toUpperCase();
+                break;
+            case 'o':
+                text = (arg >>> 0).toString(8);
+                break;
+            case 'c':
+                text = String.fromCharCode(arg & 0xFF);
+                break;
+            case 's':
+                text = precision ? arg.slice(0, Number(precision)) : arg;
+                break;
+        }
+        const size = Number(width) || 0;
+        // Padding is built in one go, so a huge width must be caught before it is allocated
+        if (size > maxWidth) fail(line, `printf field width ${width} is wider than the ${maxWidth} characters a program may print`);
+        if (text.length >= size) return text;
+        if (flags.includes('-')) return text.padEnd(size);
+        if (flags.includes('0') && conversion !== 's' && conversion !== 'c') {
+            const sign = /^[-+ ]/.test(text) ? text[0] : '';
+            return sign + text.slice(sign.length).padStart(size - sign.length, '0');
+        }
+        return text.padStart(size);
+    });
+}
+
+function execute(program, limits) {
+    const scopes = [];
+    let output = '';
+    let steps = 0;
+
+    const tick = (line, cost = 1) => {
+        steps += cost;
+        if (steps > limits.maxSteps) {
+            fail(line, `program ran more than ${limits.maxSteps} steps - is there an infinite loop?`);
+        }
+    };
+
+    const write = (text, line) => {
+        output += text;
+        if (output.length > limits.maxOutput) {
+            output = output.slice(0, limits.maxOutput);
+            fail(line, `program printed more than ${limits.maxOutput} characters`);
+        }
+    };
+
+    const lookup = (name) => {
+        for (let i = scopes.length - 1; i >= 0; i--) {
+            const variable = scopes[i].get(name);
+            if (variable) return variable;
+        }
+        throw new Error(`Unresolved variable ${name}`);
+    };
+
+    // ---- Variables ----
+
+    function fillArray(variable, list, depth, offset, line) {
+        const stride = variable.strides[depth];
+        const end = offset + variable.dims[depth] * stride;
+        let cursor = offset;
+        for (const item of list.items) {
+            if (item.type === 'InitList') {
+                // A nested list starts at the next row boundary
+                cursor = offset + Math.ceil((cursor - offset) / stride) * stride;
+                if (cursor >= end || depth + 1 >= variable.dims.length) {
+                    fail(line, `excess elements in array initializer for '${variable.name}'`);
+                }
+                fillArray(variable, item, depth + 1, cursor, line);
+                cursor += stride;
+            } else {
+                if (cursor >= end) fail(line, `excess elements in array initializer for '${variable.name}'`);
+                variable.data[cursor++] = evaluate(item);
+            }
+        }
+    }
+
+    function declare(declarator, zeroFill) {
+        const { name, line } = declarator;
+        let variable;
+
+        if (declarator.dims.length === 0) {
+            const hasValue = Boolean(declarator.init) || zeroFill;
+            variable = { name, value: declarator.init ? evaluate(declarator.init) : 0, initialized: hasValue };
+        } else {
+            const dims = declarator.dims.map(dim => (dim === null ? declarator.init.items.length : evaluate(dim)));
+            if (dims.some(n => n <= 0)) fail(line, `size of array '${name}' must be positive`);
+            const size = dims.reduce((a, b) => a * b, 1);
+            if (size > limits.maxArrayElements) fail(line, `array '${name}' is too large (max ${limits.maxArrayElements} elements)`);
+            // Allocating and zeroing an array is a pass over every element
+            tick(line, size);
+            const strides = dims.map((_, i) => dims.slice(i + 1).reduce((a, b) => a * b, 1));
+            variable = { name, dims, strides, data: new Int32Array(size), initialized: new Uint8Array(size) };
+            // Elements an initializer list leaves out are zero, as in C
+            if (declarator.init || zeroFill) variable.initialized.fill(1);
+            if (declarator.init) fillArray(variable, declarator.init, 0, 0, line);
+        }
+
+        scopes[scopes.length - 1].set(name, variable);
+    }
+
+    // { get(), set(value) } for an assignable expression
+    function reference(node) {
+        if (node.type === 'Identifier') {
+            const variable = lookup(node.name);
+            return {
+                get() {
+                    if (!variable.initialized) fail(node.line, `'${variable.name}' is used before it is given a value`);
+                    return variable.value;
+                },
+                set(value) {
+                    variable.value = toInt32(value);
+                    variable.initialized = true;
+                }
+            };
+        }
+
+        // Index chain: walk down to the array, then check every subscript
+        const subscripts = [];
+        let target = node;
+        while (target.type === 'Index') {
+            subscripts.unshift(target.index);
+            target = target.target;
+        }
+        const variable = lookup(target.name);
+        let offset = 0;
+        const indices = subscripts.map((subscript, i) => {
+            const index = evaluate(subscript);
+            if (index < 0 || index >= variable.dims[i]) {
+                fail(node.line, `index ${index} is out of bounds for '${variable.name}' (valid indices are 0 to ${variable.dims[i] - 1})`);
+            }
+            offset += index * variable.strides[i];
+            return index;
+        });
+        const label = `${variable.name}${indices.map(i => `[${i}]`).join('')}`;
+        return {
+            get() {
+                if (!variable.initialized[offset]) fail(node.line, `${label} is used before it is given a value`);
+                return variable.data[offset];
+            },
+            set(value) {
+                variable.data[offset] = value;
+                variable.initialized[offset] = 1;
+            }
+        };
+    }
+
+    // ---- Expressions ----
+
+    function binary(op, a, b, line) {
+        switch (op) {
+            case '+': return toInt32(a + b);
+            case '-': return toInt32(a - b);
+            case '*': return Math.imul(a, b);
+            case '/':
+                if (b === 0) fail(line, 'division by zero');
+                return toInt32(Math.trunc(a / b));
+            case '%':
+                if (b === 0) fail(line, 'division by zero');
+                return toInt32(a % b);
+            case '<<': return a << (b & 31);
+            case '>>': return a >> (b & 31);
+            case '&': return a & b;
+            case '|': return a | b;
+            case '^': return a ^ b;
+            case '<': return a < b ? 1 : 0;
+            case '>': return a > b ? 1 : 0;
+            case '<=': return a <= b ? 1 : 0;
+            case '>=': return a >= b ? 1 : 0;
+            case '==': return a === b ? 1 : 0;
+            case '!=': return a !== b ? 1 : 0;
+            default: throw new Error(`Unknown operator ${op}`);
+        }
+    }
+
+    function callBuiltin(node) {
+        if (node.name === 'printf') {
+            const [format, ...args] = node.args;
+            const values = args.map(arg => (arg.type === 'String' ? arg.value : evaluate(arg)));
+            const text = formatPrintf(format.value, values, node.line, limits.maxOutput);
+            write(text, node.line);
+            return text.length;
+        }
+        if (node.name === 'puts') {
+            write(node.args[0].value + '\n', node.line);
+            return 1;
+        }
+        const c = evaluate(node.args[0]);
+        write(String.fromCharCode(c & 0xFF), node.line);
+        return c;
+    }
+
+    function evaluate(node) {
+        switch (node.type) {
+            case 'Number':
+                return node.value;
+            case 'Identifier':
+            case 'Index':
+                return reference(node).get();
+            case 'Unary': {
+                const value = evaluate(node.argument);
+                if (node.op === '-') return toInt32(-value);
+                if (node.op === '!') return value ? 0 : 1;
+                if (node.op === '~') return ~value;
+                return value;
+            }
+            case 'Update': {
+                const ref = reference(node.argument);
+                const old = ref.get();
+                const updated = toInt32(node.op === '++' ? old + 1 : old - 1);
+                ref.set(updated);
+                return node.prefix ? updated : old;
+            }
+            case 'Binary':
+                return binary(node.op, evaluate(node.left), evaluate(node.right), node.line);
+            case 'Logical':
+                if (node.op === '&&') return evaluate(node.left) && evaluate(node.right) ? 1 : 0;
+                return evaluate(node.left) || evaluate(node.right) ? 1 : 0;
+            case 'Conditional':
+                return evaluate(node.test) ? evaluate(node.consequent) : evaluate(node.alternate);
+            case 'Assign': {
+                const ref = reference(node.target);
+                const value = evaluate(node.value);
+                const result = node.op === '=' ? toInt32(value) : binary(node.op.slice(0, -1), ref.get(), value, node.line);
+                ref.set(result);
+                return result;
+            }
+            case 'Sequence':
+                return node.expressions.reduce((_, expression) => evaluate(expression), 0);
+            case 'Call':
+                return callBuiltin(node);
+            default:
+                throw new Error(`Unknown expression ${node.type}`);
+        }
+    }
+
+    // ---- Statements ----
+    // Each returns undefined or a completion: { type: 'break' | 'continue' | 'return', value }
+
+    function loop(node, test, body, update) {
+        for (;;) {
+            tick(node.line);
+            if (test && !evaluate(test)) return undefined;
+            const completion = run(body);
+            if (completion?.type === 'break') return undefined;
+            if (completion?.type === 'return') return completion;
+            if (update) evaluate(update);
+        }
+    }
+
+    function run(node) {
+        tick(node.line);
+        switch (node.type) {
+            case 'Block': {
+                scopes.push(new Map());
+                try {
+                    for (const child of node.body) {
+                        const completion = run(child);
+                        if (completion) return completion;
+                    }
+                    return undefined;
+                } finally {
+                    scopes.pop();
+                }
+            }
+            case 'Decl':
+                node.declarators.forEach(declarator => declare(declarator, false));
+                return undefined;
+            case 'ExprStmt':
+                evaluate(node.expression);
+                return undefined;
+            case 'If':
+                if (evaluate(node.test)) return run(node.consequent);
+                return node.alternate ? run(node.alternate) : undefined;
+            case 'While':
+                return loop(node, node.test, node.body, null);
+            case 'DoWhile': {
+                const first = run(node.body);
+                if (first?.type === 'break') return undefined;
+                if (first?.type === 'return') return first;
+                return loop(node, node.test, node.body, null);
+            }
+            case 'For': {
+                scopes.push(new Map());
+                try {
+                    if (node.init) run(node.init);
+                    return loop(node, node.test, node.body, node.update);
+                } finally {
+                    scopes.pop();
+                }
+            }
+            case 'Break':
+                return { type: 'break' };
+            case 'Continue':
+                return { type: 'continue' };
+            case 'Return':
+                return { type: 'return', value: node.argument ? evaluate(node.argument) : 0 };
+            case 'Empty':
+                return undefined;
+            default:
+                throw new Error(`Unknown statement ${node.type}`);
+        }
+    }
+
+    scopes.push(new Map());
+    try {
+        program.globals.forEach(decl => decl.declarators.forEach(declarator => declare(declarator, true)));
+        const completion = run(program.main.body);
+        return { output, exitCode: completion?.type === 'return' ? completion.value : 0 };
+    } catch (error) {
+        error.output = output;
+        throw error;
+    }
+}
+
+// Output comparison ignores trailing spaces and a final newline
+function normalizeOutput(text) {
+    return text.split('\n').map(line => line.trimEnd()).join('\n').trim();
+}
+
+const runtimeError = (message, output = '') => ({ ok: false, stage: 'runtime', errors: [{ line: 1, message }], output });
+
+// Only a blown JS stack means deep nesting; other RangeErrors are plain runtime errors
+const isStackOverflow = (error) => error instanceof RangeError && /call stack/i.test(error.message);
+
+function runC(source, options = {}) {
+    const limits = { ...DEFAULT_LIMITS, ...options };
+    const compileError = (line, message) => ({ ok: false, stage: 'compile', errors: [{ line, message }], output: '' });
+
+    if (typeof source !== 'string' || !source.trim()) return compileError(1, 'program is empty');
+    if (source.length > limits.maxSourceLength) return compileError(1, `program is longer than ${limits.maxSourceLength} characters`);
+
+    let program;
+    try {
+        program = parse(source);
+    } catch (error) {
+        if (isStackOverflow(error)) return compileError(1, 'program is nested too deeply');
+        if (error.line === undefined) throw error;
+        return compileError(error.line, error.message);
+    }
+
+    const errors = analyze(program);
+    if (errors.length > 0) return { ok: false, stage: 'compile', errors, output: '' };
+
+    try {
+        const { output, exitCode } = execute(program, limits);
+        return { ok: true, output, exitCode };
+    } catch (error) {
+        if (isStackOverflow(error)) return runtimeError('program is nested too deeply', error.output);
+        if (error instanceof RangeError) return runtimeError(error.message, error.output);
+        if (error.line === undefined) throw error;
+        return { ok: false, stage: 'runtime', errors: [{ line: error.line, message: error.message }], output: error.output };
+    }
+}
+
+// At most MAX_CONCURRENT_RUNS workers exist at once, whatever the number of
+// teams; further runs queue here until one finishes
+let activeRuns = 0;
+const waitingRuns = [];
+
+function acquireRunSlot() {
+    if (activeRuns < MAX_CONCURRENT_RUNS) {
+        activeRuns++;
+        return Promise.resolve();
+    }
+    return new Promise(resolve => waitingRuns.push(resolve));
+}
+
+function releaseRunSlot() {
+    const next = waitingRuns.shift();
+    if (next) next(); // hand the slot straight over
+    else activeRuns--;
+}
+
+// runC on a worker thread, killed after timeoutMs or if it outgrows its heap, so
+// no program can hold up the server. Resolves with runC's result shape.
+async function runCIsolated(source, options = {}) {
+    await acquireRunSlot();
+    try {
+        return await runInWorker(source, options);
+    } finally {
+        releaseRunSlot();
+    }
+}
+
+function runInWorker(source, options) {
+    const { timeoutMs = ISOLATED_TIMEOUT_MS, ...limits } = options;
+    return new Promise((resolve, reject) => {
+        const worker = new Worker(path.join(__dirname, 'worker.js'), {
+            workerData: { source, limits },
+            resourceLimits: { maxOldGenerationSizeMb: ISOLATED_MEMORY_MB }
+        });
+        let settled = false;
+        const settle = (callback, value) => {
+            if (settled) return;
+            settled = true;
+            clearTimeout(timer);
+            worker.terminate();
+            callback(value);
+        };
+        const timer = setTimeout(() => settle(resolve, runtimeError(`program took longer than ${timeoutMs / 1000} seconds to run`)), timeoutMs);
+
+        worker.once('message', result => settle(resolve, result));
+        worker.once('error', error => {
+            if (error.code === 'ERR_WORKER_OUT_OF_MEMORY') settle(resolve, runtimeError('program used too much memory'));
+            else settle(reject, error);
+        });
+        worker.once('exit', code => settle(reject, new Error(`Interpreter worker exited with code ${code}`)));
+    });
+}
+
+module.exports = { runC, runCIsolated, normalizeOutput };
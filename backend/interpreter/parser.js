@@ -0,0 +1,460 @@
+// Tokenizer and recursive-descent parser for the teaching subset of C used in
+// Phase 3/4: int scalars and arrays, if/while/do/for, break/continue, the usual
+// operators and printf/puts/putchar from <stdio.h>. Only main() can be defined.
+// Errors are thrown as Error objects carrying the source line (error.line).
+
+const KEYWORDS = new Set(['int', 'const', 'void', 'if', 'else', 'while', 'do', 'for', 'break', 'continue', 'return']);
+const UNSUPPORTED = new Set([
+    'float', 'double', 'char', 'long', 'short', 'unsigned', 'signed', 'struct', 'union', 'enum',
+    'typedef', 'switch', 'case', 'default', 'goto', 'sizeof', 'static', 'extern', 'register', 'volatile'
+]);
+const HEADERS = new Set(['stdio.h', 'stdlib.h']);
+
+// Longest first so "<<=" wins over "<<" and "<"
+const PUNCTUATORS = [
+    '<<=', '>>=', '++', '--', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+    '+', '-', '*', '/', '%', '=', '<', '>', '!', '~', '&', '|', '^', '?', ':', ';', ',', '(', ')', '[', ']', '{', '}'
+];
+
+const ESCAPES = { n: '\n', t: '\t', r: '\r', 0: '\0', '\\': '\\', "'": "'", '"': '"', a: '\x07', b: '\b', f: '\f', v: '\v' };
+
+const BINARY_PRECEDENCE = {
+    '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5, '==': 6, '!=': 6,
+    '<': 7, '>': 7, '<=': 7, '>=': 7, '<<': 8, '>>': 8, '+': 9, '-': 9, '*': 10, '/': 10, '%': 10
+};
+const ASSIGNMENT_OPS = new Set(['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>=']);
+
+function fail(line, message) {
+    const error = new Error(message);
+    error.line = line;
+    throw error;
+}
+
+function tokenize(source) {
+    const tokens = [];
+    const includes = new Set();
+    let i = 0;
+    let line = 1;
+    let lineStart = true;
+
+    const readEscape = () => {
+        const c = source[i + 1];
+        if (!(c in ESCAPES)) fail(line, `unknown escape sequence '\\${c}'`);
+        i += 2;
+        return ESCAPES[c];
+    };
+
+    while (i < source.length) {
+        const c = source[i];
+
+        if (c === '\n') {
+            line++;
+            i++;
+            lineStart = true;
+            continue;
+        }
+        if (/\s/.test(c)) {
+            i++;
+            continue;
+        }
+        if (source.startsWith('//', i)) {
+            while (i < source.length && source[i] !== '\n') i++;
+            continue;
+        }
+        if (source.startsWith('/*', i)) {
+            const end = source.indexOf('*/', i + 2);
+            if (end === -1) fail(line, 'unterminated comment');
+            for (let j = i; j < end; j++) if (source[j] === '\n') line++;
+            i = end + 2;
+            continue;
+        }
+
+        if (c === '#') {
+            if (!lineStart) fail(line, "stray '#' in program");
+            let end = source.indexOf('\n', i);
+            if (end === -1) end = source.length;
+            const directive = source.slice(i, end).trim();
+            const include = directive.match(/^#\s*include\s*[<"]([^>"]+)[>"]$/);
+            if (include) {
+                if (!HEADERS.has(include[1])) fail(line, `${include[1]}: only <stdio.h> is available in this C subset`);
+                includes.add(include[1]);
+            } else {
+                fail(line, `preprocessor directive '${directive.split(/\s/)[0]}' is not supported in this C subset`);
+            }
+            i = end;
+            continue;
+        }
+        lineStart = false;
+
+        if (/[0-9]/.test(c)) {
+            let j = i;
+            while (j < source.length && /[0-9a-zA-Z_]/.test(source[j])) j++;
+            const text = source.slice(i, j);
+            let value;
+            if (/^0[xX][0-9a-fA-F]+$/.test(text)) value = parseInt(text.slice(2), 16);
+            else if (/^0[0-7]*$/.test(text)) value = parseInt(text, 8);
+            else if (/^[1-9][0-9]*$/.test(text)) value = parseInt(text, 10);
+            else fail(line, `invalid integer constant '${text}'`);
+            if (value > 0xFFFFFFFF) fail(line, `integer constant '${text}' is too large`);
+            tokens.push({ type: 'num', value: value | 0, text, line });
+            i = j;
+            continue;
+        }
+
+        if (/[A-Za-z_]/.test(c)) {
+            let j = i;
+            while (j < source.length && /[A-Za-z0-9_]/.test(source[j])) j++;
+            const word = source.slice(i, j);
+            if (UNSUPPORTED.has(word)) fail(line, `'${word}' is not supported in this C subset (only int)`);
+            tokens.push({ type: KEYWORDS.has(word) ? 'kw' : 'ident', value: word, line });
+            i = j;
+            continue;
+        }
+
+        if (c === "'") {
+            i++;
+            let ch;
+            if (source[i] === '\\') {
+                ch = readEscape();
+            } else {
+                ch = source[i];
+                i++;
+            }
+            if (ch === undefined || ch === '\n' || source[i] !== "'") fail(line, 'missing terminating \' character');
+            i++;
+            tokens.push({ type: 'num', value: ch.charCodeAt(0), text: `'${ch}'`, line });
+            continue;
+        }
+
+        if (c === '"') {
+            i++;
+            let value = '';
+            while (source[i] !== '"') {
+                if (i >= source.length || source[i] === '\n') fail(line, 'missing terminating " character');
+                if (source[i] === '\\') {
+                    value += readEscape();
+                } else {
+                    value += source[i];
+                    i++;
+                }
+            }
+            i++;
+            tokens.push({ type: 'str', value, line });
+            continue;
+        }
+
+        const punct = PUNCTUATORS.find(p => source.startsWith(p, i));
+        if (!punct) fail(line, `stray '${c}' in program`);
+        tokens.push({ type: 'punct', value: punct, line });
+        i += punct.length;
+    }
+
+    tokens.push({ type: 'eof', value: null, line });
+    return { tokens, includes };
+}
+
+function describe(token) {
+    if (token.type === 'eof') return 'end of input';
+    if (token.type === 'str') return 'string constant';
+    if (token.type === 'num') return `numeric constant '${token.text}'`;
+    if (token.type === 'punct') return `'${token.value}' token`;
+    return `'${token.value}'`;
+}
+
+function parse(source) {
+    const { tokens, includes } = tokenize(source);
+    let pos = 0;
+
+    const peek = (offset = 0) => tokens[Math.min(pos + offset, tokens.length - 1)];
+    const next = () => tokens[pos++];
+    const is = (value, offset = 0) => {
+        const t = peek(offset);
+        return (t.type === 'punct' || t.type === 'kw') && t.value === value;
+    };
+    const accept = (value) => (is(value) ? next() : null);
+
+    // Missing ';' and ')' are reported on the line they belong to, like gcc does
+    const expect = (value) => {
+        if (is(value)) return next();
+        const t = peek();
+        const line = (value === ';' || value === ')') && pos > 0 ? tokens[pos - 1].line : t.line;
+        return fail(line, `expected '${value}' before ${describe(t)}`);
+    };
+
+    const expectIdent = () => {
+        const t = peek();
+        if (is('*')) fail(t.line, 'pointers are not supported in this C subset');
+        if (t.type !== 'ident') fail(t.line, `expected identifier before ${describe(t)}`);
+        return next();
+    };
+
+    // ---- Declarations ----
+
+    function parseInitializer() {
+        if (!is('{')) return parseAssignment();
+        const open = next();
+        const items = [];
+        while (!is('}')) {
+            items.push(parseInitializer());
+            if (!accept(',')) break;
+        }
+        expect('}');
+        return { type: 'InitList', items, line: open.line };
+    }
+
+    function parseDeclarator(isConst, nameToken) {
+        const dims = [];
+        while (accept('[')) {
+            dims.push(is(']') ? null : parseExpression());
+            expect(']');
+        }
+        const init = accept('=') ? parseInitializer() : null;
+        return { name: nameToken.value, dims, init, isConst, line: nameToken.line };
+    }
+
+    // After the type keywords; firstName is passed when the caller already read it
+    function parseDeclaration(isConst, line, firstName = null) {
+        const declarators = [parseDeclarator(isConst, firstName || expectIdent())];
+        while (accept(',')) {
+            declarators.push(parseDeclarator(isConst, expectIdent()));
+        }
+        expect(';');
+        return { type: 'Decl', declarators, line };
+    }
+
+    function parseType() {
+        const start = peek();
+        const isConst = Boolean(accept('const'));
+        const type = peek();
+        if (!is('int') && !is('void')) fail(type.line, `expected type before ${describe(type)}`);
+        next();
+        return { isConst, type: type.value, line: start.line };
+    }
+
+    // ---- Statements ----
+
+    function parseBlock() {
+        const open = expect('{');
+        const body = [];
+        while (!is('}')) {
+            if (peek().type === 'eof') fail(peek().line, "expected '}' at end of input");
+            body.push(parseStatement());
+        }
+        next();
+        return { type: 'Block', body, line: open.line };
+    }
+
+    function parseLocalDeclaration() {
+        const { isConst, type, line } = parseType();
+        const name = expectIdent();
+        if (type === 'void') fail(name.line, `variable '${name.value}' declared void`);
+        return parseDeclaration(isConst, line, name);
+    }
+
+    function parseStatement() {
+        const t = peek();
+
+        if (is('{')) return parseBlock();
+        if (is('int') || is('const')) return parseLocalDeclaration();
+
+        if (accept('if')) {
+            expect('(');
+            const test = parseExpression();
+            expect(')');
+            const consequent = parseStatement();
+            const alternate = accept('else') ? parseStatement() : null;
+            return { type: 'If', test, consequent, alternate, line: t.line };
+        }
+        if (accept('while')) {
+            expect('(');
+            const test = parseExpression();
+            expect(')');
+            return { type: 'While', test, body: parseStatement(), line: t.line };
+        }
+        if (accept('do')) {
+            const body = parseStatement();
+            expect('while');
+            expect('(');
+            const test = parseExpression();
+            expect(')');
+            expect(';');
+            return { type: 'DoWhile', test, body, line: t.line };
+        }
+        if (accept('for')) {
+            expect('(');
+            let init = null;
+            if (is('int') || is('const')) {
+                init = parseLocalDeclaration();
+            } else {
+                if (!is(';')) init = { type: 'ExprStmt', expression: parseExpression(), line: t.line };
+                expect(';');
+            }
+            const test = is(';') ? null : parseExpression();
+            expect(';');
+            const update = is(')') ? null : parseExpression();
+            expect(')');
+            return { type: 'For', init, test, update, body: parseStatement(), line: t.line };
+        }
+        if (accept('break')) {
+            expect(';');
+            return { type: 'Break', line: t.line };
+        }
+        if (accept('continue')) {
+            expect(';');
+            return { type: 'Continue', line: t.line };
+        }
+        if (accept('return')) {
+            const argument = is(';') ? null : parseExpression();
+            expect(';');
+            return { type: 'Return', argument, line: t.line };
+        }
+        if (accept(';')) return { type: 'Empty', line: t.line };
+
+        const expression = parseExpression();
+        expect(';');
+        return { type: 'ExprStmt', expression, line: t.line };
+    }
+
+    // ---- Expressions ----
+
+    function parseExpression() {
+        let expression = parseAssignment();
+        if (!is(',')) return expression;
+        const expressions = [expression];
+        while (accept(',')) expressions.push(parseAssignment());
+        return { type: 'Sequence', expressions, line: expression.line };
+    }
+
+    function parseAssignment() {
+        const target = parseConditional();
+        const t = peek();
+        if (t.type === 'punct' && ASSIGNMENT_OPS.has(t.value)) {
+            next();
+            return { type: 'Assign', op: t.value, target, value: parseAssignment(), line: t.line };
+        }
+        return target;
+    }
+
+    function parseConditional() {
+        const test = parseBinary(1);
+        if (!is('?')) return test;
+        const t = next();
+        const consequent = parseExpression();
+        expect(':');
+        return { type: 'Conditional', test, consequent, alternate: parseConditional(), line: t.line };
+    }
+
+    function parseBinary(minPrecedence) {
+        let left = parseUnary();
+        for (;;) {
+            const t = peek();
+            const precedence = t.type === 'punct' ? BINARY_PRECEDENCE[t.value] : undefined;
+            if (precedence === undefined || precedence < minPrecedence) return left;
+            next();
+            const right = parseBinary(precedence + 1);
+            const type = t.value === '&&' || t.value === '||' ? 'Logical' : 'Binary';
+            left = { type, op: t.value, left, right, line: t.line };
+        }
+    }
+
+    function parseUnary() {
+        const t = peek();
+        if (is('++') || is('--')) {
+            next();
+            return { type: 'Update', op: t.value, prefix: true, argument: parseUnary(), line: t.line };
+        }
+        if (is('-') || is('+') || is('!') || is('~')) {
+            next();
+            return { type: 'Unary', op: t.value, argument: parseUnary(), line: t.line };
+        }
+        if (is('&') || is('*')) {
+            fail(t.line, 'pointers are not supported in this C subset');
+        }
+        // (int) casts are no-ops on ints
+        if (is('(') && is('int', 1) && is(')', 2)) {
+            pos += 3;
+            return parseUnary();
+        }
+        return parsePostfix();
+    }
+
+    function parsePostfix() {
+        let expression = parsePrimary();
+        for (;;) {
+            const t = peek();
+            if (accept('[')) {
+                const index = parseExpression();
+                expect(']');
+                expression = { type: 'Index', target: expression, index, line: t.line };
+            } else if (is('(')) {
+                if (expression.type !== 'Identifier') fail(t.line, 'called object is not a function');
+                next();
+                const args = [];
+                while (!is(')')) {
+                    args.push(parseAssignment());
+                    if (!accept(',')) break;
+                }
+                expect(')');
+                expression = { type: 'Call', name: expression.name, args, line: expression.line };
+            } else if (is('++') || is('--')) {
+                next();
+                expression = { type: 'Update', op: t.value, prefix: false, argument: expression, line: t.line };
+            } else {
+                return expression;
+            }
+        }
+    }
+
+    function parsePrimary() {
+        const t = peek();
+        if (t.type === 'num') {
+            next();
+            return { type: 'Number', value: t.value, line: t.line };
+        }
+        if (t.type === 'str') {
+            // Adjacent literals concatenate: "a" "b" == "ab"
+            let value = '';
+            while (peek().type === 'str') value += next().value;
+            return { type: 'String', value, line: t.line };
+        }
+        if (t.type === 'ident') {
+            next();
+            return { type: 'Identifier', name: t.value, line: t.line };
+        }
+        if (accept('(')) {
+            const expression = parseExpression();
+            expect(')');
+            return expression;
+        }
+        return fail(t.line, `expected expression before ${describe(t)}`);
+    }
+
+    // ---- Program ----
+
+    const globals = [];
+    let main = null;
+
+    while (peek().type !== 'eof') {
+        const { isConst, type, line } = parseType();
+        const name = expectIdent();
+
+        if (is('(')) {
+            if (name.value !== 'main') fail(name.line, `only main() can be defined in this C subset (found '${name.value}')`);
+            if (main) fail(name.line, "redefinition of 'main'");
+            if (type !== 'int') fail(name.line, "'main' must return 'int'");
+            next();
+            accept('void');
+            expect(')');
+            main = { body: parseBlock(), line: name.line };
+        } else {
+            if (type === 'void') fail(name.line, `variable '${name.value}' declared void`);
+            globals.push(parseDeclaration(isConst, line, name));
+        }
+    }
+
+    if (!main) fail(peek().line, "undefined reference to 'main'");
+
+    return { globals, main, includes };
+}
+
+module.exports = { parse };
@@ -0,0 +1,5 @@
+// Worker-thread entry for runCIsolated: runs one program and posts the result back
+const { parentPort, workerData } = require('worker_threads');
+const { runC } = require('./index');
+
+parentPort.postMessage(runC(workerData.source, workerData.limits));
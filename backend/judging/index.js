@@ -0,0 +1,115 @@
+// Judging panel for the creative phases. Rubrics come from
+// content/<edition>/judging.json (defaults below). Each judge scores a
+// submission on every criterion; the per-judge totals are combined into
+// mean/median, judges far from the median are flagged as outliers, and the
+// configured aggregate becomes the points the team gets on the leaderboard.
+// The admin always sits on the panel too, so an event without judge accounts
+// can still score its submissions from the dashboard.
+
+const crypto = require('crypto');
+
+const DEFAULT_JUDGING = {
+    // "median" or "mean" of the judges' totals is what counts
+    aggregate: 'median',
+    // A judge whose total is more than this many points from the median is flagged
+    outlierThreshold: 10,
+    // Points only count once this many judges have scored the entry
+    minJudges: 1,
+    phases: {
+        1: { title: 'AI Image', criteria: { creativity: 20, themeFit: 20, promptCraft: 10 } },
+        6: { title: 'Team Photo', criteria: { location: 10, teamSpirit: 10, creativity: 10 } }
+    }
+};
+
+// Phases whose submissions (Phase 1 image, Phase 6 team photo) can be judged
+const JUDGED_PHASES = ['1', '6'];
+
+// Judge names end up as keys in Firestore paths, so keep them simple
+const JUDGE_NAME = /^[a-z0-9_-]{2,32}$/;
+// Name the admin's scores are kept under, next to the judges'
+const ADMIN_JUDGE = 'admin';
+
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+const round1 = (n) => Math.round(n * 10) / 10;
+
+// "alice:<bcrypt hash>,bob:<bcrypt hash>" -> [{ name, secret }] (bcrypt hashes never contain ':' or ',')
+function parseJudgeAccounts(value = '') {
+    return value.split(',').map(entry => entry.trim()).filter(Boolean).map(entry => {
+        const separator = entry.indexOf(':');
+        const name = entry.slice(0, separator).trim().toLowerCase();
+        const secret = entry.slice(separator + 1).trim();
+        if (separator < 1 || !secret) throw new Error(`JUDGE_ACCOUNTS entry "${entry}" must look like name:passwordHash`);
+        if (!JUDGE_NAME.test(name)) throw new Error(`Judge name "${name}" may only use a-z, 0-9, _ and - (2-32 characters)`);
+        if (name === ADMIN_JUDGE) throw new Error(`Judge name "${ADMIN_JUDGE}" is reserved for the admin dashboard`);
+        return { name, secret };
+    });
+}
+
+// panelSize is how many can score (judge accounts plus the admin); minJudges
+// never asks for more than that, or no entry would ever count
+function createJudging(config = {}, { secret, panelSize = Infinity }) {
+    const resolved = {
+        aggregate: config.aggregate ?? DEFAULT_JUDGING.aggregate,
+        outlierThreshold: config.outlierThreshold ?? DEFAULT_JUDGING.outlierThreshold,
+        minJudges: Math.min(config.minJudges ?? DEFAULT_JUDGING.minJudges, panelSize),
+        phases: config.phases ?? DEFAULT_JUDGING.phases
+    };
+
+    // Stable anonymous id for a submission - judges only ever see this, never the team
+    function entryId(teamId, phase) {
+        return crypto.createHmac('sha256', secret).update(`${teamId}:${phase}`).digest('hex').slice(0, 10).toUpperCase();
+    }
+
+    // Checks one judge's criteria against the phase rubric; returns an error message or null
+    function validateScores(phase, criteria) {
+        const rubric = resolved.phases[phase]?.criteria;
+        if (!rubric) return `Phase ${phase} is not judged`;
+        if (!criteria || typeof criteria !== 'object') return 'criteria is required';
+        for (const [criterion, max] of Object.entries(rubric)) {
+            const value = criteria[criterion];
+            if (!Number.isInteger(value) || value < 0 || value > max) {
+                return `${criterion} must be a whole number from 0 to ${max}`;
+            }
+        }
+        return null;
+    }
+
+    // Combine every judge's score for one submission. `total` is null until
+    // minJudges have scored it.
+    function aggregate(phase, scoresByJudge = {}) {
+        const rubric = resolved.phases[phase]?.criteria || {};
+        const totals = Object.entries(scoresByJudge).map(([judge, score]) => ({
+            judge,
+            total: Object.keys(rubric).reduce((sum, criterion) => sum + (score.criteria?.[criterion] || 0), 0)
+        }));
+        if (totals.length === 0) {
+            return { judgeCount: 0, mean: null, median: null, outliers: [], total: null };
+        }
+
+        const values = totals.map(t => t.total);
+        const mean = round1(values.reduce((sum, v) => sum + v, 0) / values.length);
+        const mid = median(values);
+        // With fewer than 3 judges there is no majority to be an outlier from
+        const outliers = totals.length >= 3
+            ? totals.filter(t => Math.abs(t.total - mid) > resolved.outlierThreshold).map(t => t.judge)
+            : [];
+        const counted = totals.length >= resolved.minJudges;
+
+        return {
+            judgeCount: totals.length,
+            mean,
+            median: mid,
+            outliers,
+            total: counted ? Math.round(resolved.aggregate === 'mean' ? mean : mid) : null
+        };
+    }
+
+    return { config: resolved, entryId, validateScores, aggregate };
+}
+
+module.exports = { createJudging, parseJudgeAccounts, DEFAULT_JUDGING, JUDGED_PHASES, ADMIN_JUDGE };
@@ -0,0 +1,85 @@
+// Scoring engine for the leaderboard. Rules come from content/<edition>/scoring.json
+// (any field left out uses the defaults below), so organizers can rebalance
+// points between events without touching code.
+
+const PHASES = [1, 2, 3, 4, 5, 6];
+
+const DEFAULT_RULES = {
+    // Awarded once per completed phase
+    phasePoints: { 1: 100, 2: 100, 3: 100, 4: 150, 5: 150, 6: 200 },
+    // Teams that finish get up to maxPoints, shrinking linearly to 0 at windowMinutes
+    timeBonus: { maxPoints: 300, windowMinutes: 180 },
+    // Per wrong submission (capped per phase) and per hint unlocked
+    penalties: { wrongAttempt: 10, hint: 25, maxWrongAttemptPenaltyPerPhase: 50 }
+};
+
+function resolveRules(rules = {}) {
+    return {
+        phasePoints: { ...DEFAULT_RULES.phasePoints, ...rules.phasePoints },
+        timeBonus: { ...DEFAULT_RULES.timeBonus, ...rules.timeBonus },
+        penalties: { ...DEFAULT_RULES.penalties, ...rules.penalties }
+    };
+}
+
+function createScoring(rules) {
+    const resolved = resolveRules(rules);
+    const { phasePoints, timeBonus, penalties } = resolved;
+
+    // Points for one team plus the numbers used to rank it
+    function scoreTeam(team) {
+        let earned = 0;
+        let penalty = 0;
+        let judged = 0;
+        let phasesCompleted = 0;
+        let lastProgressAt = team.createdAt || 0;
+
+        for (const phase of PHASES) {
+            const state = team[`phase${phase}`] || {};
+            if (state.completed) {
+                phasesCompleted++;
+                earned += phasePoints[phase] || 0;
+                if (state.completedAt) lastProgressAt = Math.max(lastProgressAt, state.completedAt);
+            }
+
+            const wrongAttempts = Math.max(0, (state.attempts || 0) - (state.completed ? 1 : 0));
+            penalty += Math.min(wrongAttempts * penalties.wrongAttempt, penalties.maxWrongAttemptPenaltyPerPhase);
+            penalty += (state.hintsUsed || 0) * penalties.hint;
+            // Judging panel result (judging/index.js), null until enough judges have scored
+            judged += state.judging?.total || 0;
+        }
+
+        const finished = Boolean(team.phase6?.completed);
+        let bonus = 0;
+        if (finished && team.totalTimeSeconds != null && timeBonus.windowMinutes > 0) {
+            const remaining = 1 - team.totalTimeSeconds / (timeBonus.windowMinutes * 60);
+            bonus = Math.round(timeBonus.maxPoints * Math.max(0, remaining));
+        }
+
+        return {
+            points: Math.max(0, earned + bonus + judged - penalty),
+            breakdown: { phasePoints: earned, timeBonus: bonus, judged, penalties: penalty },
+            phasesCompleted,
+            phaseReached: Math.min(team.currentPhase || 1, 6),
+            finished,
+            lastProgressAt
+        };
+    }
+
+    // Highest points first; ties go to the team further along, then to whoever
+    // got there first
+    function rankTeams(teams) {
+        return teams
+            .map(team => ({ team, score: scoreTeam(team) }))
+            .sort((a, b) =>
+                b.score.points - a.score.points ||
+                b.score.phasesCompleted - a.score.phasesCompleted ||
+                a.score.lastProgressAt - b.score.lastProgressAt ||
+                (a.team.createdAt || 0) - (b.team.createdAt || 0)
+            )
+            .map(({ team, score }, index) => ({ rank: index + 1, team, ...score }));
+    }
+
+    return { rules: resolved, scoreTeam, rankTeams };
+}
+
+module.exports = { createScoring, DEFAULT_RULES };
@@ -3,15 +3,37 @@ const cors = require('cors');
 const multer = require('multer');
 const path = require('path');
 const fs = require('fs');
-const admin = require('firebase-admin');
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { createStorage } = require('./storage');
+const { loadContent } = require('./content');
+const { shuffleQuestions, seededRandom, permutation } = require('./content/shuffle');
+const { buildMazeRiddle } = require('./content/maze');
+const { createScoring } = require('./scoring');
+const { createEventBus, redactEvent } = require('./events');
+const { createJudging, parseJudgeAccounts, ADMIN_JUDGE } = require('./judging');
+const { createCheckpoints } = require('./checkpoints');
+const { renderQrSheet, qrSvg } = require('./checkpoints/sheet');
+const { createGeofence, CHECK_IN_LOCATIONS, MAX_ACCURACY_METERS } = require('./checkpoints/geofence');
+const { runCIsolated, normalizeOutput } = require('./interpreter');
 require('dotenv').config();
 
 const app = express();
 
+// Behind a proxy (Render/Railway) set TRUST_PROXY to its hop count, or to the
+// proxy addresses, for a real req.ip. Left unset, X-Forwarded-For is ignored -
+// trusting it with no proxy in front would let clients pick their own IP
+const TRUST_PROXY = process.env.TRUST_PROXY;
+if (TRUST_PROXY) {
+    app.set('trust proxy', /^\d+$/.test(TRUST_PROXY) ? Number(TRUST_PROXY) : TRUST_PROXY);
+}
+
 // Middleware
 app.use(cors());
 app.use(express.json());
-app.use('/uploads', express.static(path.join(__dirname, 'uploads')));
+// Also under /api so the frontend can reach photos through API_URL
+app.use(['/uploads', '/api/uploads'], express.static(path.join(__dirname, 'uploads')));
 
 // Create uploads directory if it doesn't exist
 const uploadsDir = path.join(__dirname, 'uploads');
@@ -22,7 +44,7 @@ if (!fs.existsSync(uploadsDir)) {
 // Multer configuration for file uploads
 const storage = multer.diskStorage({
     destination: (req, file, cb) => {
-        cb(null, 'uploads/');
+        cb(null, uploadsDir);
     },
     filename: (req, file, cb) => {
         const uniqueSuffix = Date.now() + '-' + Math.round(Math.random() * 1E9);
@@ -44,389 +66,681 @@ const upload = multer({
     }
 });
 
+// upload.single(field) that answers bad files with a 400 instead of the default error page
+const uploadImage = (field) => (req, res, next) => upload.single(field)(req, res, (err) => {
+    if (!err) return next();
+    const message = err.code === 'LIMIT_FILE_SIZE' ? 'Image must be 5MB or smaller' : err.message;
+    res.status(400).json({ error: message });
+});
+
+// Drop an upload the route ended up not storing
+const discardUpload = (file) => {
+    if (file) fs.unlink(file.path, () => {});
+};
+
 // ============================================
-// FIREBASE INITIALIZATION
+// STORAGE
 // ============================================
-let db;
-let useFirebase = false;
+const store = createStorage();
 
-// Check if Firebase credentials file exists or env var is set
-const serviceAccountPath = path.join(__dirname, 'firebase-credentials.json');
-if (process.env.FIREBASE_CREDENTIALS) {
-    try {
-        const serviceAccount = JSON.parse(process.env.FIREBASE_CREDENTIALS);
-        admin.initializeApp({
-            credential: admin.credential.cert(serviceAccount)
-        });
-        db = admin.firestore();
-        useFirebase = true;
-        console.log('✅ Firebase Firestore connected via env variable!');
-    } catch (error) {
-        console.error('❌ Firebase env parse error:', error.message);
+// ============================================
+// ADMIN AUTHENTICATION
+// ============================================
+const JWT_SECRET = process.env.JWT_SECRET || crypto.randomBytes(32).toString('hex');
+const ADMIN_TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || '12h';
+
+if (!process.env.JWT_SECRET) {
+    console.log('⚠️  JWT_SECRET not set - using a random secret (admin sessions end on restart)');
+}
+
+// Prefer a bcrypt hash; a plain ADMIN_PASSWORD is hashed once at boot for local use
+let adminPasswordHash = process.env.ADMIN_PASSWORD_HASH || null;
+if (!adminPasswordHash && process.env.ADMIN_PASSWORD) {
+    adminPasswordHash = bcrypt.hashSync(process.env.ADMIN_PASSWORD, 10);
+    console.log('⚠️  Using plain ADMIN_PASSWORD - set ADMIN_PASSWORD_HASH in production');
+}
+if (!adminPasswordHash) {
+    console.log('⚠️  ADMIN_PASSWORD_HASH not set - admin login is disabled');
+}
+
+// The token from an "Authorization: Bearer <token>" header, or null
+function bearerToken(req) {
+    const header = req.headers.authorization || '';
+    return header.startsWith('Bearer ') ? header.slice(7) : null;
+}
+
+// bcrypt throws on anything but a string, so other JSON types (and a missing
+// hash) just fail the check
+async function checkPassword(plain, hash) {
+    return typeof plain === 'string' && plain !== '' && typeof hash === 'string' && bcrypt.compare(plain, hash);
+}
+
+// Protect admin routes - expects "Authorization: Bearer <token>"
+function requireAdmin(req, res, next) {
+    const token = bearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({ error: 'Admin authentication required' });
     }
-} else if (fs.existsSync(serviceAccountPath)) {
+
     try {
-        const serviceAccount = require(serviceAccountPath);
-        admin.initializeApp({
-            credential: admin.credential.cert(serviceAccount)
-        });
-        db = admin.firestore();
-        useFirebase = true;
-        console.log('✅ Firebase Firestore connected successfully!');
-    } catch (error) {
-        console.error('❌ Firebase initialization error:', error.message);
-        console.log('⚠️  Falling back to in-memory database');
+        const payload = jwt.verify(token, JWT_SECRET);
+        if (payload.role !== 'admin') {
+            return res.status(403).json({ error: 'Admin access only' });
+        }
+        req.admin = payload;
+        next();
+    } catch {
+        return res.status(401).json({ error: 'Invalid or expired admin session' });
     }
-} else {
-    console.log('⚠️  firebase-credentials.json not found');
-    console.log('📝 To use Firebase:');
-    console.log('   1. Go to Firebase Console → Project Settings → Service Accounts');
-    console.log('   2. Generate new private key');
-    console.log('   3. Save as backend/firebase-credentials.json');
-    console.log('');
-    console.log('📦 Using in-memory database for now...\n');
 }
 
 // ============================================
-// IN-MEMORY DATABASE (Fallback)
+// JUDGE ACCOUNTS
 // ============================================
-const teamsDB = new Map();
+// JUDGE_ACCOUNTS="alice:<bcrypt hash>,bob:<bcrypt hash>" - one account per judge.
+// Plain passwords are hashed at boot like ADMIN_PASSWORD, for local use.
+const judgeAccounts = new Map();
+try {
+    for (const { name, secret } of parseJudgeAccounts(process.env.JUDGE_ACCOUNTS)) {
+        judgeAccounts.set(name, secret.startsWith('$2') ? secret : bcrypt.hashSync(secret, 10));
+        if (!secret.startsWith('$2')) console.log(`⚠️  Judge "${name}" uses a plain password - store a hash in JUDGE_ACCOUNTS in production`);
+    }
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+
+// Protect judge routes - same Bearer token scheme as admins, role "judge"
+function requireJudge(req, res, next) {
+    const token = bearerToken(req);
+
+    if (!token) {
+        return res.status(401).json({ error: 'Judge authentication required' });
+    }
+
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+        if (payload.role !== 'judge' || !judgeAccounts.has(payload.judge)) {
+            return res.status(403).json({ error: 'Judges only' });
+        }
+        req.judge = payload.judge;
+        next();
+    } catch {
+        return res.status(401).json({ error: 'Invalid or expired judge session' });
+    }
+}
 
 // ============================================
-// DATABASE HELPER FUNCTIONS
+// TEAM SESSIONS
 // ============================================
+const TEAM_TOKEN_TTL = process.env.TEAM_TOKEN_TTL || '7d';
 
-// Get team by name
-async function getTeamByName(teamName) {
-    const normalizedName = teamName.toLowerCase();
+function signTeamToken(teamId) {
+    return jwt.sign({ role: 'team', teamId }, JWT_SECRET, { expiresIn: TEAM_TOKEN_TTL });
+}
 
-    if (useFirebase) {
-        const snapshot = await db.collection('teams')
-            .where('teamName', '==', normalizedName)
-            .limit(1)
-            .get();
+// Resolve the calling team from its session token - never trust a teamId in the body
+function requireTeam(req, res, next) {
+    const token = bearerToken(req);
 
-        if (snapshot.empty) return null;
-        return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
-    } else {
-        for (const [id, team] of teamsDB) {
-            if (team.teamName === normalizedName) {
-                return team;
-            }
+    if (!token) {
+        return res.status(401).json({ error: 'Team session required. Please register or resume your team.' });
+    }
+
+    try {
+        const payload = jwt.verify(token, JWT_SECRET);
+        if (payload.role !== 'team' || !payload.teamId) {
+            return res.status(401).json({ error: 'Invalid team session' });
         }
+        req.teamId = payload.teamId;
+        next();
+    } catch {
+        return res.status(401).json({ error: 'Invalid or expired team session' });
+    }
+}
+
+// Resume codes look like "K7QM-4XPA" - no 0/O/1/I/L to avoid misreading
+const RESUME_CODE_ALPHABET = '23456789ABCDEFGHJKMNPQRSTUVWXYZ';
+
+function generateResumeCode() {
+    const bytes = crypto.randomBytes(8);
+    let code = '';
+    for (let i = 0; i < 8; i++) {
+        if (i === 4) code += '-';
+        code += RESUME_CODE_ALPHABET[bytes[i] % RESUME_CODE_ALPHABET.length];
+    }
+    return code;
+}
+
+function normalizeResumeCode(code) {
+    return String(code).toUpperCase().replace(/[^0-9A-Z]/g, '');
+}
+
+// Codes are looked up by hash, so they are stored as SHA-256 rather than bcrypt
+function hashResumeCode(code) {
+    return crypto.createHash('sha256').update(normalizeResumeCode(code)).digest('hex');
+}
+
+function generatePin() {
+    return String(crypto.randomInt(0, 10000)).padStart(4, '0');
+}
+
+// Strip secrets before a team record leaves the server
+function publicTeam(team) {
+    if (!team) return team;
+    const { resumeCodeHash: _resumeCodeHash, memberPinHashes, ...rest } = team;
+    return {
+        ...rest,
+        pinProtected: !!memberPinHashes,
+        checkpointsRequired: CHECKPOINTS_REQUIRED,
+        // Only ids and phase labels - location names and coordinates would give the riddles away
+        pendingCheckIns: geofence.missingFor(team, team.currentPhase).map(id => ({ id, label: qrLabel(id) }))
+    };
+}
+
+// Throttle failed resume attempts per IP so codes can't be brute-forced
+const RESUME_MAX_FAILURES = 10;
+const RESUME_WINDOW_MS = 15 * 60 * 1000;
+const resumeFailures = new Map();
+
+function isResumeLocked(ip) {
+    const entry = resumeFailures.get(ip);
+    if (!entry) return false;
+    if (Date.now() > entry.resetAt) {
+        resumeFailures.delete(ip);
+        return false;
+    }
+    return entry.count >= RESUME_MAX_FAILURES;
+}
+
+function recordResumeFailure(ip) {
+    const entry = resumeFailures.get(ip);
+    if (!entry || Date.now() > entry.resetAt) {
+        resumeFailures.set(ip, { count: 1, resetAt: Date.now() + RESUME_WINDOW_MS });
+    } else {
+        entry.count++;
+    }
+}
+
+// ============================================
+// QR CHECKPOINTS
+// ============================================
+// Printed QR codes carry a signed token per phase (see checkpoints/index.js).
+// CHECKPOINT_SECRET keeps the printed codes valid across JWT_SECRET rotations;
+// CHECKPOINTS=off lets teams open every phase by URL, e.g. for a dry run.
+const CHECKPOINTS_REQUIRED = process.env.CHECKPOINTS !== 'off';
+const checkpoints = createCheckpoints({ secret: process.env.CHECKPOINT_SECRET || JWT_SECRET });
+
+if (CHECKPOINTS_REQUIRED && !process.env.CHECKPOINT_SECRET && !process.env.JWT_SECRET) {
+    console.log('⚠️  CHECKPOINT_SECRET not set - printed QR codes stop working when the server restarts');
+}
+
+// Site address the printed codes open: ?baseUrl=, else PUBLIC_URL, else this server.
+// Returns null for anything that isn't an http(s) address.
+function qrBaseUrl(req) {
+    try {
+        const url = new URL(String(req.query.baseUrl || process.env.PUBLIC_URL || `${req.protocol}://${req.get('host')}`));
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') return null;
+        return `${url.origin}${url.pathname}`.replace(/\/+$/, '');
+    } catch {
         return null;
     }
 }
 
+const qrLabel = (id) => checkpoints.codes.find(code => code.id === id)?.label || id;
+
+// Every QR code to put up, with the address it opens and where it goes (content locations.json)
+function printedCodes(baseUrl) {
+    return checkpoints.codes.map(code => ({
+        ...code,
+        url: checkpoints.urlFor(code, baseUrl),
+        location: content.locations[code.id]?.name || null
+    }));
+}
+
+// A team on this phase must have scanned the phase's QR code before its routes work.
+// Runs after requireTeam.
+function requireCheckpoint(phase) {
+    const checkpoint = checkpoints.forPhase(phase);
+    return async (req, res, next) => {
+        if (!CHECKPOINTS_REQUIRED) return next();
+        try {
+            const team = await getTeamById(req.teamId);
+            if (team && team.currentPhase === phase && !team.checkpoints?.[checkpoint.id]) {
+                return res.status(403).json({
+                    error: `Find and scan the Phase ${phase} QR code to unlock this phase`,
+                    checkpoint: checkpoint.id
+                });
+            }
+            next();
+        } catch (error) {
+            console.error('Checkpoint check error:', error.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    };
+}
+
+// Phases whose treasure locations are geofenced (see checkpoints/geofence.js)
+// need a check-in at each of them before a submission is accepted.
+// Runs after requireTeam.
+function requireCheckIns(phase) {
+    return async (req, res, next) => {
+        try {
+            const team = await getTeamById(req.teamId);
+            const missing = team && team.currentPhase === phase ? geofence.missingFor(team, phase) : [];
+            if (missing.length > 0) {
+                return res.status(403).json({
+                    error: `Check in at ${missing.map(qrLabel).join(' and ')} first - or ask an organizer to check you in`,
+                    checkIns: missing
+                });
+            }
+            next();
+        } catch (error) {
+            console.error('Check-in check error:', error.message);
+            res.status(500).json({ error: 'Server error' });
+        }
+    };
+}
+
+// ============================================
+// DATABASE HELPER FUNCTIONS
+// ============================================
+
+// Get team by name
+async function getTeamByName(teamName) {
+    return store.findTeamBy('teamName', teamName.toLowerCase());
+}
+
+// Get team by resume code hash
+async function getTeamByResumeCode(resumeCodeHash) {
+    return store.findTeamBy('resumeCodeHash', resumeCodeHash);
+}
+
 // Get team by ID
 async function getTeamById(teamId) {
-    if (useFirebase) {
-        const doc = await db.collection('teams').doc(teamId).get();
-        if (!doc.exists) return null;
-        return { id: doc.id, ...doc.data() };
-    } else {
-        return teamsDB.get(teamId) || null;
-    }
+    return store.getTeamById(teamId);
 }
 
 // Save team - handles both flat and nested updates
 async function saveTeam(teamId, teamData) {
-    if (useFirebase) {
-        try {
-            // Flatten nested objects to dot notation for Firebase update()
-            const flattenObject = (obj, prefix = '') => {
-                return Object.keys(obj).reduce((acc, key) => {
-                    const newKey = prefix ? `${prefix}.${key}` : key;
-                    if (typeof obj[key] === 'object' && obj[key] !== null && !Array.isArray(obj[key]) && !(obj[key] instanceof Date)) {
-                        Object.assign(acc, flattenObject(obj[key], newKey));
-                    } else {
-                        acc[newKey] = obj[key];
-                    }
-                    return acc;
-                }, {});
-            };
+    return store.saveTeam(teamId, teamData);
+}
 
-            const flatData = flattenObject(teamData);
+// Apply a phase update only if the team is still on expectedPhase (compare-and-set).
+// Returns false when another request advanced the team first.
+async function completePhase(teamId, expectedPhase, teamData) {
+    return store.updateTeamIf(teamId, team => team.currentPhase === expectedPhase, teamData);
+}
 
-            // Use update() for partial updates - this properly handles nested fields
-            await db.collection('teams').doc(teamId).update(flatData);
-        } catch (error) {
-            console.error('Firebase saveTeam error:', error.message);
-            throw error;
+// Record one graded submission for a phase: bumps phaseN.attempts and, when it
+// passed, stamps completedAt, opens the next phase (startedAt) and after Phase 6
+// stores totalTimeSeconds since registration. The compare-and-set covers the
+// attempt count too, so parallel submissions can't lose an attempt either.
+// Emits phase.attempted (and phase.completed on a pass) once it sticks.
+// `at` backdates the attempt, e.g. to when a moderated photo was uploaded.
+async function recordPhaseResult(team, phase, { passed, data = {}, at }) {
+    const key = `phase${phase}`;
+    const attempts = team[key]?.attempts || 0;
+    const now = at ?? Date.now();
+
+    const update = { [key]: { ...data, attempts: attempts + 1, lastAttemptAt: now } };
+    if (passed) {
+        update[key].completed = true;
+        update[key].completedAt = now;
+        update.currentPhase = phase + 1;
+        if (phase < 6) {
+            update[`phase${phase + 1}`] = { startedAt: now };
+        } else if (team.createdAt) {
+            update.totalTimeSeconds = Math.round((now - team.createdAt) / 1000);
         }
-    } else {
-        // For in-memory, deep merge the updates
-        const existingTeam = teamsDB.get(teamId) || {};
-
-        const deepMerge = (target, source) => {
-            for (const key in source) {
-                if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
-                    if (!target[key]) target[key] = {};
-                    deepMerge(target[key], source[key]);
-                } else {
-                    target[key] = source[key];
-                }
-            }
-            return target;
-        };
+    }
 
-        deepMerge(existingTeam, teamData);
-        teamsDB.set(teamId, existingTeam);
+    const recorded = await store.updateTeamIf(
+        team.teamId,
+        t => t.currentPhase === phase && (t[key]?.attempts || 0) === attempts,
+        update
+    );
+    if (recorded) {
+        const attempt = { teamId: team.teamId, teamName: team.teamName, phase, passed, attempts: attempts + 1 };
+        if (data.score !== undefined) attempt.score = data.score;
+        if (data.total !== undefined) attempt.total = data.total;
+        events.emit('phase.attempted', attempt);
+        if (passed) {
+            events.emit('phase.completed', {
+                teamId: team.teamId,
+                teamName: team.teamName,
+                phase,
+                attempts: attempts + 1,
+                completedAt: now,
+                ...(update.totalTimeSeconds !== undefined && { totalTimeSeconds: update.totalTimeSeconds })
+            });
+        }
     }
+    return recorded;
+}
+
+function sendPhaseConflict(res, phase) {
+    return res.status(409).json({
+        error: `Phase ${phase} was already updated from another device. Refreshing your progress...`,
+        conflict: true
+    });
 }
 
 // Create team
 async function createTeam(teamId, teamData) {
-    if (useFirebase) {
-        await db.collection('teams').doc(teamId).set(teamData);
-    } else {
-        teamsDB.set(teamId, teamData);
-    }
+    return store.createTeam(teamId, teamData);
 }
 
 // Get all teams
 async function getAllTeams() {
-    if (useFirebase) {
-        const snapshot = await db.collection('teams').get();
-        return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
-    } else {
-        return Array.from(teamsDB.values());
-    }
+    return store.getAllTeams();
 }
 
-// Get completed teams for leaderboard
-async function getCompletedTeams() {
-    if (useFirebase) {
-        const snapshot = await db.collection('teams')
-            .where('phase6.completed', '==', true)
-            .limit(10)
-            .get();
-        return snapshot.docs.map(doc => ({
-            teamId: doc.id,
-            teamName: doc.data().teamName,
-            teamLeader: doc.data().teamLeader
-        }));
-    } else {
-        const completedTeams = [];
-        for (const [id, team] of teamsDB) {
-            if (team.phase6?.completed) {
-                completedTeams.push({
-                    teamId: team.teamId,
-                    teamName: team.teamName,
-                    teamLeader: team.teamLeader
-                });
-            }
-        }
-        return completedTeams.slice(0, 10);
-    }
+// Ranked leaderboard - every team, including those still mid-hunt
+async function getLeaderboard() {
+    const teams = await getAllTeams();
+    return scoring.rankTeams(teams).map(entry => ({
+        rank: entry.rank,
+        teamName: entry.team.teamName,
+        teamLeader: entry.team.teamLeader,
+        points: entry.points,
+        breakdown: entry.breakdown,
+        phaseReached: entry.phaseReached,
+        phasesCompleted: entry.phasesCompleted,
+        finished: entry.finished,
+        totalTimeSeconds: entry.finished ? (entry.team.totalTimeSeconds ?? null) : null,
+        finishedAt: entry.team.phase6?.completedAt || null
+    }));
 }
 
 // Get stats
 async function getStats() {
-    if (useFirebase) {
-        const snapshot = await db.collection('teams').get();
-        let stats = {
-            totalTeams: 0,
-            phase1: 0, phase2: 0, phase3: 0, phase4: 0, phase5: 0, phase6: 0
-        };
-
-        snapshot.forEach(doc => {
-            const team = doc.data();
-            stats.totalTeams++;
-            if (team.phase1?.completed) stats.phase1++;
-            if (team.phase2?.completed) stats.phase2++;
-            if (team.phase3?.completed) stats.phase3++;
-            if (team.phase4?.completed) stats.phase4++;
-            if (team.phase5?.completed) stats.phase5++;
-            if (team.phase6?.completed) stats.phase6++;
-        });
+    const teams = await getAllTeams();
+    const stats = {
+        totalTeams: 0,
+        phase1: 0, phase2: 0, phase3: 0, phase4: 0, phase5: 0, phase6: 0
+    };
+
+    for (const team of teams) {
+        stats.totalTeams++;
+        if (team.phase1?.completed) stats.phase1++;
+        if (team.phase2?.completed) stats.phase2++;
+        if (team.phase3?.completed) stats.phase3++;
+        if (team.phase4?.completed) stats.phase4++;
+        if (team.phase5?.completed) stats.phase5++;
+        if (team.phase6?.completed) stats.phase6++;
+    }
 
-        return stats;
-    } else {
-        let stats = {
-            totalTeams: 0,
-            phase1: 0, phase2: 0, phase3: 0, phase4: 0, phase5: 0, phase6: 0
-        };
+    return stats;
+}
 
-        for (const [id, team] of teamsDB) {
-            stats.totalTeams++;
-            if (team.phase1?.completed) stats.phase1++;
-            if (team.phase2?.completed) stats.phase2++;
-            if (team.phase3?.completed) stats.phase3++;
-            if (team.phase4?.completed) stats.phase4++;
-            if (team.phase5?.completed) stats.phase5++;
-            if (team.phase6?.completed) stats.phase6++;
+// Phase-completion funnel as returned by the stats endpoints
+function formatStats(stats) {
+    return {
+        totalTeams: stats.totalTeams,
+        phaseStats: {
+            phase1: stats.phase1,
+            phase2: stats.phase2,
+            phase3: stats.phase3,
+            phase4: stats.phase4,
+            phase5: stats.phase5,
+            phase6: stats.phase6
         }
+    };
+}
 
-        return stats;
+// Phase completions across all teams, newest first (projector ticker)
+async function getRecentAchievements(limit = 15) {
+    const teams = await getAllTeams();
+    const achievements = [];
+    for (const team of teams) {
+        for (let phase = 1; phase <= 6; phase++) {
+            const completedAt = team[`phase${phase}`]?.completedAt;
+            if (completedAt) {
+                achievements.push({ teamName: team.teamName, phase, completedAt });
+            }
+        }
     }
+    return achievements
+        .sort((a, b) => b.completedAt - a.completedAt)
+        .slice(0, limit);
 }
 
 // ============================================
 // QUESTIONS DATA
 // ============================================
-
-// Quiz Questions for Phase 2
-const phase2Questions = [
-    {
-        id: 1,
-        question: "Intelligent tutoring systems mainly provide:",
-        options: ["Fixed lessons", "Only video lectures", "Personalized instruction", "Manual grading"],
-        correctAnswer: 2
-    },
-    {
-        id: 2,
-        question: "AI grading tools help teachers by:",
-        options: ["Automating assessment", "Removing exams", "Increasing workload", "Preventing feedback"],
-        correctAnswer: 0
-    },
-    {
-        id: 3,
-        question: "Which technology enables real-time lecture transcription?",
-        options: ["Computer Vision", "Blockchain", "Speech Recognition", "Data Mining"],
-        correctAnswer: 2
-    },
-    {
-        id: 4,
-        question: "Adaptive learning platforms adjust based on:",
-        options: ["Teacher salary", "School building size", "Internet speed", "Student performance"],
-        correctAnswer: 3
-    },
-    {
-        id: 5,
-        question: "AI can identify struggling students through:",
-        options: ["Random selection", "Learning analytics", "Manual counting", "Attendance guessing"],
-        correctAnswer: 1
-    },
-    {
-        id: 6,
-        question: "Chatbots in education are useful for:",
-        options: ["Cancelling homework", "Closing libraries", "Answering student queries 24/7", "Replacing textbooks completely"],
-        correctAnswer: 2
-    },
-    {
-        id: 7,
-        question: "Which is a risk of AI in education?",
-        options: ["Faster feedback", "Personalized study", "Better accessibility", "Algorithmic bias"],
-        correctAnswer: 3
-    },
-    {
-        id: 8,
-        question: "AI translation tools help students by:",
-        options: ["Removing teachers", "Limiting resources", "Blocking communication", "Breaking language barriers"],
-        correctAnswer: 3
-    },
-    {
-        id: 9,
-        question: "Automated scheduling systems optimize:",
-        options: ["Playground size", "Classroom paint", "Uniform design", "Timetable creation"],
-        correctAnswer: 3
-    },
-    {
-        id: 10,
-        question: "Gamified AI learning platforms improve:",
-        options: ["Student boredom", "Network latency", "Engagement and motivation", "Paper usage"],
-        correctAnswer: 2
+// Loaded from content/<edition>/*.json - see content/index.js for the schema.
+// Run `npm run check-content` after editing questions.
+let content;
+try {
+    content = loadContent(process.env.CONTENT_DIR ? path.resolve(process.env.CONTENT_DIR) : undefined);
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+console.log(`📚 Loaded content ${content.edition} v${content.version}`);
+content.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+
+const scoring = createScoring(content.scoring);
+const judging = createJudging(content.judging, { secret: JWT_SECRET, panelSize: judgeAccounts.size + 1 });
+const geofence = createGeofence(content.locations);
+
+// Every judgeable submission: Phase 1 images and approved Phase 6 photos
+function judgedSubmissions(teams) {
+    const submissions = [];
+    for (const team of teams) {
+        for (const phase of Object.keys(judging.config.phases)) {
+            const state = team[`phase${phase}`];
+            const imageUrl = phase === '1' ? state?.imageUrl : state?.completed && state.photoUrl;
+            if (!imageUrl) continue;
+            submissions.push({
+                team,
+                phase,
+                entryId: judging.entryId(team.teamId, phase),
+                imageUrl,
+                caption: phase === '1' ? state.aiPrompt : state.locationAnswer,
+                judging: state.judging || null
+            });
+        }
     }
-];
-
-// Phase 3 Questions
-const phase3Questions = [
-    {
-        id: 1,
-        code: `#include <stdio.h>\nint main() {\n    int x = 5, y = 2;\n    int result = x++ * --y;\n    printf("%d %d %d", result, x, y);\n    return 0;\n}`,
-        question: "What will be the output of this code?",
-        options: ["5 6 1", "10 6 1", "5 5 2", "10 5 1"],
-        correctAnswer: 0
-    },
-    {
-        id: 2,
-        code: `#include <stdio.h>\nint main() {\n    int i = 0, count = 0;\n    while (i < 10) {\n        i += 3;\n        if (i == 9)\n            break;\n        count++;\n    }\n    printf("%d %d", count, i);\n    return 0;\n}`,
-        question: "What will be the output of this code?",
-        options: ["3 9", "2 9", "3 12", "2 6"],
-        correctAnswer: 1
-    },
-    {
-        id: 3,
-        code: `#include <stdio.h>\nint main() {\n    int a = 12, b = 5;\n    printf("%d %d %d", a & b, a | b, a ^ b);\n    return 0;\n}`,
-        question: "What will be the output of this code?",
-        options: ["4 13 9", "5 12 7", "4 12 9", "0 17 8"],
-        correctAnswer: 0
-    },
-    {
-        id: 4,
-        code: `#include <stdio.h>\nint main() {\n    int arr[2][3] = {{1, 2, 3}, {4, 5, 6}};\n    printf("%d ", arr[0][2] + arr[1][0]);\n    printf("%d", arr[1][2] - arr[0][1]);\n    return 0;\n}`,
-        question: "What will be the output of this code?",
-        options: ["7 4", "5 3", "8 4", "6 5"],
-        correctAnswer: 0
-    },
-    {
-        id: 5,
-        code: `#include <stdio.h>\nint main() {\n    int a = 3, b = 7, c = 5;\n    int max = (a > b) ? a : (b > c) ? b : c;\n    int min = (a < b) ? (a < c) ? a : c : (b < c) ? b : c;\n    printf("%d %d", max, min);\n    return 0;\n}`,
-        question: "What will be the output of this code?",
-        options: ["3 7", "5 3", "7 3", "7 5"],
-        correctAnswer: 2
+    return submissions;
+}
+
+const phase4 = content.phase4;
+
+// Phase 2, 3 and 5 questions depend on the theme the team registered with
+const questionSetFor = (team) => content.questionSetFor(team.theme);
+
+// Quiz questions in this team's order, with options shuffled (seeded by teamId).
+// Question and submit routes must both go through these so answer indexes line up.
+const phase2QuestionsFor = (team) => shuffleQuestions(questionSetFor(team).phase2.questions, `${team.teamId}:phase2`);
+const phase3QuestionsFor = (team) => shuffleQuestions(questionSetFor(team).phase3.questions, `${team.teamId}:phase3`);
+
+// Phase 5 riddles with every "maze" riddle generated for this team (or shared when perTeam is false).
+// Like the quiz helpers, the riddle, answer and complete routes must all use this.
+const phase5RiddlesFor = (team) => questionSetFor(team).phase5.riddles.map(r => r.type === 'maze'
+    ? buildMazeRiddle(r, r.perTeam === false ? `phase5:${r.id}` : `${team.teamId}:phase5:${r.id}`)
+    : r);
+
+// ============================================
+// PHASE TIMERS
+// ============================================
+// Timed phases keep their clock on the team record (phaseN.attemptStartedAt and
+// phaseN.deadline, epoch ms) so a refresh or a second device can't reset it.
+// A graded submission ends the attempt; retrying starts a fresh one.
+const LATE_SUBMIT_GRACE_MS = 5 * 1000; // network slack for answers sent at 0:00
+
+function timerState(team, phase) {
+    const state = team[`phase${phase}`] || {};
+    return {
+        startedAt: state.attemptStartedAt || null,
+        deadline: state.deadline || null,
+        timeLimitSeconds: questionSetFor(team)[`phase${phase}`].timeLimitSeconds,
+        serverTime: Date.now()
+    };
+}
+
+// Start a new attempt unless one is still running. The write is a
+// compare-and-set on the previous deadline, so two devices starting at the
+// same moment end up sharing one clock.
+async function startPhaseTimer(team, phase) {
+    const key = `phase${phase}`;
+    const timeLimitSeconds = questionSetFor(team)[key].timeLimitSeconds;
+    const currentDeadline = team[key]?.deadline || null;
+
+    if (!timeLimitSeconds || (currentDeadline && currentDeadline > Date.now())) {
+        return team;
     }
-];
 
-// Phase 4 Buggy Code
-const phase4Code = `#include <stdio.h>
+    const now = Date.now();
+    const update = { [key]: { attemptStartedAt: now, deadline: now + timeLimitSeconds * 1000 } };
+    if (!team[key]?.startedAt) update[key].startedAt = now;
 
-int main() {
-    int arr[6] = {4, -2, 7, -1, 8, 3};
-    int i, sum = 0, count = 0;
+    await store.updateTeamIf(
+        team.teamId,
+        t => t.currentPhase === phase && (t[key]?.deadline || null) === currentDeadline,
+        update
+    );
+    return getTeamById(team.teamId);
+}
+
+// Timed phases only take a submission during an attempt started with
+// /api/phaseN/start - a client that skips it must not skip the clock too
+function hasRunningAttempt(team, phase) {
+    return !questionSetFor(team)[`phase${phase}`].timeLimitSeconds || Boolean(team[`phase${phase}`]?.deadline);
+}
+
+// Questions only go out inside a running attempt: fetching them on the team's
+// current phase starts (or resumes) the clock, so reading ahead is timed too.
+// A phase the team hasn't reached stays hidden - returns null for it.
+async function openTimedPhase(team, phase) {
+    if (team.currentPhase < phase) return null;
+    return team.currentPhase === phase ? startPhaseTimer(team, phase) : team;
+}
+
+function isPastDeadline(team, phase) {
+    const deadline = team[`phase${phase}`]?.deadline;
+    return Boolean(deadline) && Date.now() > deadline + LATE_SUBMIT_GRACE_MS;
+}
+
+// Late submissions are rejected and end the attempt
+async function rejectLateSubmission(res, team, phase) {
+    await completePhase(team.teamId, phase, { [`phase${phase}`]: { deadline: null } });
+    console.log(`⏰ Phase ${phase} - Team: ${team.teamName} submitted after the deadline`);
+    return res.status(400).json({ error: "Time's up! Start a new attempt to try again.", timedOut: true });
+}
 
-    for (i = 0; i <= 6; i++) {
-        if (arr[i] > 0) {
-            sum += arr[i]
-            count++;
+// POST /api/phaseN/start handler - starts or resumes the team's clock
+function handlePhaseStart(phase) {
+    return async (req, res) => {
+        try {
+            const team = await getTeamById(req.teamId);
+            if (!team) {
+                return res.status(404).json({ error: 'Team not found' });
+            }
+
+            if (team.currentPhase !== phase) {
+                return res.status(400).json({ error: `Not on Phase ${phase}` });
+            }
+
+            const updated = await startPhaseTimer(team, phase);
+            res.json({ success: true, ...timerState(updated, phase) });
+        } catch (error) {
+            console.error(`Phase ${phase} start error:`, error.message);
+            res.status(500).json({ error: 'Server error' });
         }
+    };
+}
+
+// ============================================
+// LIVE EVENTS (Server-Sent Events)
+// ============================================
+const events = createEventBus();
+// Open streams: { res, scope } where scope is 'public' or 'admin'
+const sseClients = new Set();
+const SSE_HEARTBEAT_MS = 25 * 1000;
+// Single-use admin stream tickets: ticket -> expiry time
+const streamTickets = new Map();
+const STREAM_TICKET_TTL_MS = 30 * 1000;
+let leaderboardBroadcastTimer = null;
+
+function sendSseEvent(res, event, data, id) {
+    res.write(`${id ? `id: ${id}\n` : ''}event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+function openSseStream(req, res, scope) {
+    res.set({
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        Connection: 'keep-alive',
+        'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+
+    const client = { res, scope };
+    sseClients.add(client);
+    req.on('close', () => sseClients.delete(client));
+    return client;
+}
+
+// Activity events go to the feed streams; admins see the full payload
+function sendActivityEvent(client, event) {
+    const payload = client.scope === 'admin' ? event : redactEvent(event);
+    sendSseEvent(client.res, event.type, payload, event.id);
+}
+
+// Push the fresh ranking to every open stream. Bursts (several teams
+// submitting at once) are coalesced into a single recompute.
+function scheduleLeaderboardBroadcast() {
+    if (sseClients.size === 0 || leaderboardBroadcastTimer) return;
+    leaderboardBroadcastTimer = setTimeout(async () => {
+        leaderboardBroadcastTimer = null;
+        try {
+            const leaderboard = await getLeaderboard();
+            for (const client of sseClients) {
+                sendSseEvent(client.res, 'leaderboard', leaderboard);
+            }
+        } catch (error) {
+            console.error('Leaderboard broadcast error:', error.message);
+        }
+    }, 500);
+}
+
+// Every team event can move the ranking
+events.subscribe((event) => {
+    for (const client of sseClients) {
+        sendActivityEvent(client, event);
     }
+    scheduleLeaderboardBroadcast();
+});
 
-    prinf("Positive sum: %d, Count: %d", sum, count);
-    return 0;
-}`;
-
-const phase4Hints = [
-    "Check the loop condition carefully — the array has 6 elements, so valid indices are 0 to 5",
-    "Look for a missing semicolon on the sum += arr[i] line",
-    "Is 'prinf' a valid C function? Check the spelling",
-    "Positive numbers in the array: 4, 7, 8, 3 → Sum = 22, Count = 4"
-];
-
-// Phase 5 Riddles - 3 Challenges (ALL required to pass)
-const phase5Riddles = [
-    {
-        id: 1,
-        type: "mcq",
-        riddle: "Study the maze below and find the ONLY path from S (Start) to E (Exit). Walls (#) block movement. You can only move Right (→) or Down (↓).\n\n    C0  C1  C2  C3  C4  C5\nR0: [S] [.] [#] [.] [.] [.]\nR1: [#] [.] [.] [#] [.] [#]\nR2: [.] [#] [.] [.] [.] [.]\nR3: [.] [.] [#] [#] [#] [.]\nR4: [#] [.] [.] [.] [#] [.]\nR5: [.] [#] [.] [.] [.] [E]\n\nWhich sequence of moves leads from S to E?",
-        options: [
-            "→ ↓ → → ↓ → → ↓ ↓ ↓",
-            "→ ↓ ↓ → → → ↓ → ↓ ↓",
-            "→ ↓ → ↓ → → → ↓ ↓ ↓",
-            "↓ → → ↓ → → → ↓ ↓ ↓"
-        ],
-        correctAnswer: 2
-    },
-    {
-        id: 2,
-        type: "text",
-        riddle: "PATTERN RECOGNITION\n\nStep 1 — Given Values:\n  A = 6,  B = 1,  C = 2,  D = 3\n\nStep 2 — Solve these expressions in order:\n  1) (2 × B)\n  2) (2 × A)\n  3) (2 × C)\n  4) (7 × B)\n  5) (2)\n\nStep 3 — Convert the obtained numbers using A1–Z26\n  (A=1, B=2, C=3 ... Z=26)\n  If a number is already a single digit, keep it as-is.\n\nWhat is the decoded keyword?",
-        acceptedAnswers: ["BLDG 2", "BLDG2", "bldg 2", "bldg2", "Bldg 2", "Bldg2"]
-    },
-    {
-        id: 3,
-        type: "mcq",
-        riddle: "LOGICAL DEDUCTION: Each AI Learning Tool is assigned exactly one Educational Function.\n\nAI Learning Tools (Numbered):\n  1. LearnMate\n  2. QuizGen\n  3. SmartTutor\n  4. SkillTrack\n\nEducational Functions (Labeled):\n  A. Personalized Learning\n  B. Assessment & Quizzes\n  C. Progress Tracking\n  D. Doubt Resolution\n\nCLUES:\n- QuizGen (2) is assigned to Assessment & Quizzes (B)\n- LearnMate (1) is assigned to Personalized Learning (A)\n- SkillTrack (4) is not assigned to A or B\n- SmartTutor (3) is assigned to Doubt Resolution (D)\n\nWhat is the correct mapping?",
-        options: [
-            "LearnMate→A, QuizGen→B, SmartTutor→C, SkillTrack→D",
-            "LearnMate→B, QuizGen→A, SmartTutor→D, SkillTrack→C",
-            "LearnMate→A, QuizGen→B, SmartTutor→D, SkillTrack→C",
-            "LearnMate→D, QuizGen→B, SmartTutor→A, SkillTrack→C"
-        ],
-        correctAnswer: 2
+// Comment lines keep idle streams open through Render/Railway proxies
+setInterval(() => {
+    for (const client of sseClients) {
+        client.res.write(': ping\n\n');
     }
-];
+}, SSE_HEARTBEAT_MS).unref();
+
+// ============================================
+// PROJECTOR DISPLAY
+// ============================================
+// Optional event window for the /display countdown, e.g. EVENT_END=2026-03-14T17:00:00+05:30
+function parseEventTime(name) {
+    const value = process.env[name];
+    if (!value) return null;
+    const time = Date.parse(value);
+    if (Number.isNaN(time)) {
+        console.warn(`⚠️  ${name} is not a valid date (${value}) - ignoring it`);
+        return null;
+    }
+    return time;
+}
+
+const eventSchedule = {
+    startsAt: parseEventTime('EVENT_START'),
+    endsAt: parseEventTime('EVENT_END')
+};
 
 // ============================================
 // API ROUTES
@@ -435,7 +749,7 @@ const phase5Riddles = [
 // Register new team (Phase 1)
 app.post('/api/teams/register', async (req, res) => {
     try {
-        const { teamName, teamLeader, teamMembers, email, theme } = req.body;
+        const { teamName, teamLeader, teamMembers, email, theme, usePins } = req.body;
 
         // Validate required fields
         if (!teamName || !teamLeader || !teamMembers || !email || !theme) {
@@ -449,14 +763,7 @@ app.post('/api/teams/register', async (req, res) => {
         }
 
         // Validate theme
-        const validThemes = [
-            'AI in Healthcare',
-            'Generative AI & Creativity',
-            'Computer Science Fundamentals',
-            'AI in Education & Learning',
-            'AI in Smart Cities'
-        ];
-        if (!validThemes.includes(theme)) {
+        if (!content.themes.includes(theme)) {
             return res.status(400).json({ error: 'Please select a valid theme' });
         }
 
@@ -474,6 +781,19 @@ app.post('/api/teams/register', async (req, res) => {
 
         const teamId = 'TEAM_' + Date.now() + '_' + Math.random().toString(36).substr(2, 9);
 
+        // Resume code (and optional per-member PINs) are only ever shown in this response
+        const resumeCode = generateResumeCode();
+        let memberPins = null;
+        let memberPinHashes = null;
+        if (usePins) {
+            memberPins = {};
+            memberPinHashes = {};
+            for (const member of members) {
+                memberPins[member] = generatePin();
+                memberPinHashes[member] = await bcrypt.hash(memberPins[member], 10);
+            }
+        }
+
         const team = {
             teamId,
             teamName: teamName.toLowerCase(),
@@ -481,7 +801,10 @@ app.post('/api/teams/register', async (req, res) => {
             teamMembers: members,
             email,
             theme,
-            phase1: { completed: false },
+            resumeCodeHash: hashResumeCode(resumeCode),
+            memberPinHashes,
+            createdAt: Date.now(),
+            phase1: { completed: false, startedAt: Date.now() },
             phase2: { completed: false },
             phase3: { completed: false },
             phase4: { completed: false },
@@ -491,13 +814,24 @@ app.post('/api/teams/register', async (req, res) => {
         };
 
         await createTeam(teamId, team);
+        events.emit('team.registered', {
+            teamId,
+            teamName: team.teamName,
+            teamLeader,
+            email,
+            theme,
+            memberCount: members.length
+        });
 
-        console.log(`✅ Team registered: ${teamName} (Theme: ${theme}) ${useFirebase ? '(Firebase)' : '(Memory)'}`);
+        console.log(`✅ Team registered: ${teamName} (Theme: ${theme}) (${store.label})`);
 
         res.json({
             success: true,
             message: 'Registration successful!',
-            team
+            team: publicTeam(team),
+            token: signTeamToken(teamId),
+            resumeCode,
+            memberPins
         });
     } catch (error) {
         console.error('Registration error:', error);
@@ -505,40 +839,52 @@ app.post('/api/teams/register', async (req, res) => {
     }
 });
 
-// Submit Phase 1 (AI Image Generation)
-app.post('/api/phase1/submit', async (req, res) => {
+// Submit Phase 1 (AI Image Generation) - the image is kept for the judging panel,
+// which scores it on the judging.json rubric
+app.post('/api/phase1/submit', requireTeam, uploadImage('image'), async (req, res) => {
     try {
-        const { teamId, driveLink, aiPrompt } = req.body;
+        const { aiPrompt } = req.body;
+        const teamId = req.teamId;
+
+        if (!aiPrompt) {
+            discardUpload(req.file);
+            return res.status(400).json({ error: 'AI prompt is required' });
+        }
 
-        if (!teamId || !aiPrompt) {
-            return res.status(400).json({ error: 'Team ID and AI prompt are required' });
+        if (!req.file) {
+            return res.status(400).json({ error: 'Please attach your AI-generated image' });
         }
 
         const team = await getTeamById(teamId);
         if (!team) {
+            discardUpload(req.file);
             return res.status(404).json({ error: 'Team not found' });
         }
 
         if (team.phase1?.completed) {
+            discardUpload(req.file);
             return res.status(400).json({ error: 'Phase 1 already completed' });
         }
 
         if (team.currentPhase !== 1) {
+            discardUpload(req.file);
             return res.status(400).json({ error: 'Not on Phase 1' });
         }
 
         // Validate AI prompt contains VU2050
         if (!aiPrompt.toUpperCase().includes('VU2050')) {
+            discardUpload(req.file);
             return res.status(400).json({ error: 'AI Prompt must contain keyword "VU2050"' });
         }
 
-        await saveTeam(teamId, {
-            phase1: {
-                aiPrompt,
-                completed: true
-            },
-            currentPhase: 2
+        const advanced = await recordPhaseResult(team, 1, {
+            passed: true,
+            data: { aiPrompt, imageUrl: `/uploads/${req.file.filename}` }
         });
+        if (!advanced) {
+            discardUpload(req.file);
+            return sendPhaseConflict(res, 1);
+        }
 
         console.log(`🎨 Phase 1 - Team: ${team.teamName} submitted AI image!`);
 
@@ -547,93 +893,192 @@ app.post('/api/phase1/submit', async (req, res) => {
             message: 'Phase 1 completed!'
         });
     } catch (error) {
+        discardUpload(req.file);
         console.error('Phase 1 submit error:', error.message);
         res.status(500).json({ error: 'Server error: ' + error.message });
     }
 });
 
-// Get team by name (for resume)
-app.get('/api/teams/:teamName', async (req, res) => {
+// Get the calling team's own record
+app.get('/api/teams/me', requireTeam, async (req, res) => {
     try {
-        const team = await getTeamByName(req.params.teamName);
+        const team = await getTeamById(req.teamId);
         if (!team) {
             return res.status(404).json({ error: 'Team not found' });
         }
-        res.json(team);
+        res.json(publicTeam(team));
     } catch (error) {
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Get Phase 2 questions
-app.get('/api/phase2/questions', (req, res) => {
-    const questionsWithoutAnswers = phase2Questions.map(q => ({
-        id: q.id,
-        question: q.question,
-        options: q.options
-    }));
-    res.json(questionsWithoutAnswers);
+// Record that the team scanned a checkpoint QR code (the ?cp= token in its URL).
+// Only the first scan is kept; codes for phases the team hasn't reached are refused.
+app.post('/api/checkpoints/scan', requireTeam, async (req, res) => {
+    try {
+        const checkpoint = checkpoints.verify(req.body?.token);
+        if (!checkpoint) {
+            return res.status(400).json({ error: 'This QR code is not a valid CodeHunt checkpoint' });
+        }
+
+        const team = await getTeamById(req.teamId);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        if (checkpoint.phase > team.currentPhase) {
+            return res.status(400).json({ error: `This checkpoint is for Phase ${checkpoint.phase} - finish Phase ${team.currentPhase} first` });
+        }
+
+        if (!team.checkpoints?.[checkpoint.id]) {
+            await store.updateTeamIf(
+                team.teamId,
+                t => !t.checkpoints?.[checkpoint.id],
+                { checkpoints: { [checkpoint.id]: { scannedAt: Date.now() } } }
+            );
+            console.log(`📍 Checkpoint ${checkpoint.id} scanned - Team: ${team.teamName}`);
+        }
+
+        res.json({ success: true, checkpoint: checkpoint.id, team: publicTeam(await getTeamById(team.teamId)) });
+    } catch (error) {
+        console.error('Checkpoint scan error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
 });
 
-// Check single Phase 2 answer
-app.post('/api/phase2/check-answer', (req, res) => {
+// Check in at a geofenced treasure location with the phone's reported position
+// ({ latitude, longitude, accuracy } as from the browser's geolocation API)
+app.post('/api/locations/:locationId/check-in', requireTeam, async (req, res) => {
     try {
-        const body = req.body || {};
-        const questionIndex = body.questionIndex;
-        const answer = body.answer;
+        const { locationId } = req.params;
+        const { latitude, longitude, accuracy } = req.body || {};
 
-        if (questionIndex == null || answer == null) {
-            return res.status(400).json({ error: 'questionIndex and answer are required' });
+        const team = await getTeamById(req.teamId);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        if (team.locationCheckins?.[locationId]?.verified) {
+            return res.json({ success: true, team: publicTeam(team) });
+        }
+
+        if (!geofence.missingFor(team, team.currentPhase).includes(locationId)) {
+            return res.status(400).json({ error: 'No check-in needed here right now' });
+        }
+
+        const valid = (value, limit) => typeof value === 'number' && Number.isFinite(value) && Math.abs(value) <= limit;
+        if (!valid(latitude, 90) || !valid(longitude, 180) || !valid(accuracy, Infinity) || accuracy < 0) {
+            return res.status(400).json({ error: 'latitude, longitude and accuracy must be numbers' });
+        }
+
+        if (accuracy > MAX_ACCURACY_METERS) {
+            return res.status(400).json({ error: `Your location is only accurate to ${Math.round(accuracy)} m - step outside or wait a moment and try again` });
+        }
+
+        const { verified, distance } = geofence.check(locationId, { latitude, longitude, accuracy });
+        const checkin = { verified, at: Date.now(), latitude, longitude, accuracy, distanceMeters: distance };
+        // Keep a failed attempt too, so organizers can see how close the team was before overriding
+        await store.updateTeamIf(team.teamId, t => !t.locationCheckins?.[locationId]?.verified, { locationCheckins: { [locationId]: checkin } });
+
+        console.log(`${verified ? '📍' : '🚫'} Check-in ${locationId} - Team: ${team.teamName} (${distance} m away)`);
+
+        if (!verified) {
+            return res.status(400).json({ error: "You don't seem to be at the right spot yet - get closer and try again" });
+        }
+        res.json({ success: true, team: publicTeam(await getTeamById(team.teamId)) });
+    } catch (error) {
+        console.error('Check-in error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Resume a team on a new device with its resume code (+ member PIN if enabled)
+app.post('/api/teams/resume', async (req, res) => {
+    try {
+        const { resumeCode, memberName, pin } = req.body || {};
+
+        if (isResumeLocked(req.ip)) {
+            return res.status(429).json({ error: 'Too many failed attempts. Please wait a few minutes.' });
+        }
+
+        if (!resumeCode || !normalizeResumeCode(resumeCode)) {
+            return res.status(400).json({ error: 'Resume code is required' });
+        }
+
+        const team = await getTeamByResumeCode(hashResumeCode(resumeCode));
+        if (!team) {
+            recordResumeFailure(req.ip);
+            return res.status(404).json({ error: 'Invalid resume code' });
         }
 
-        if (questionIndex < 0 || questionIndex >= phase2Questions.length) {
-            return res.status(400).json({ error: 'Invalid question index' });
+        if (team.memberPinHashes) {
+            // Valid code - tell the client which members can enter a PIN
+            if (typeof memberName !== 'string' || !memberName || !pin) {
+                return res.status(401).json({
+                    error: 'This team requires a member PIN',
+                    pinRequired: true,
+                    members: Object.keys(team.memberPinHashes)
+                });
+            }
+
+            // hasOwn, so names like "constructor" don't pick up Object.prototype
+            const pinHash = Object.hasOwn(team.memberPinHashes, memberName) && team.memberPinHashes[memberName];
+            if (typeof pinHash !== 'string' || !(await bcrypt.compare(String(pin), pinHash))) {
+                recordResumeFailure(req.ip);
+                return res.status(401).json({
+                    error: 'Incorrect PIN',
+                    pinRequired: true,
+                    members: Object.keys(team.memberPinHashes)
+                });
+            }
         }
 
-        const question = phase2Questions[questionIndex];
-        const correct = answer === question.correctAnswer;
+        console.log(`🔑 Team resumed: ${team.teamName}${memberName ? ` (by ${memberName})` : ''}`);
 
-        res.json({ success: true, correct });
+        res.json({
+            success: true,
+            team: publicTeam(team),
+            token: signTeamToken(team.teamId)
+        });
     } catch (error) {
-        console.error('Phase 2 check-answer error:', error.message);
+        console.error('Resume error:', error.message);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
-// Complete Phase 2 (all questions answered correctly)
-app.post('/api/phase2/complete', async (req, res) => {
+// Get Phase 2 questions
+app.get('/api/phase2/questions', requireTeam, requireCheckpoint(2), async (req, res) => {
     try {
-        const { teamId } = req.body;
-
-        const team = await getTeamById(teamId);
-        if (!team) {
+        const found = await getTeamById(req.teamId);
+        if (!found) {
             return res.status(404).json({ error: 'Team not found' });
         }
 
-        if (team.phase2?.completed) {
-            return res.status(400).json({ error: 'Phase 2 already completed' });
+        const team = await openTimedPhase(found, 2);
+        if (!team) {
+            return res.status(400).json({ error: 'Not on Phase 2 yet' });
         }
 
-        await saveTeam(teamId, {
-            phase2: {
-                completed: true
-            },
-            currentPhase: 3
-        });
-
-        console.log(`📝 Phase 2 - Team: ${team.teamName} completed all questions correctly!`);
-
-        res.json({ success: true, message: 'Phase 2 completed!' });
+        const questionsWithoutAnswers = phase2QuestionsFor(team).map(q => ({
+            id: q.id,
+            question: q.question,
+            options: q.options
+        }));
+        res.json({ questions: questionsWithoutAnswers, ...timerState(team, 2) });
     } catch (error) {
-        console.error('Phase 2 complete error:', error.message);
+        console.error('Phase 2 questions error:', error.message);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// Start the Phase 2 timer
+app.post('/api/phase2/start', requireTeam, requireCheckpoint(2), handlePhaseStart(2));
+
 // Submit Phase 2 answers
-app.post('/api/phase2/submit', async (req, res) => {
+app.post('/api/phase2/submit', requireTeam, requireCheckpoint(2), async (req, res) => {
     try {
-        const { teamId, answers } = req.body;
+        const { answers } = req.body;
+        const teamId = req.teamId;
 
         console.log(`Phase 2 submit request - TeamId: ${teamId}`);
 
@@ -647,7 +1092,20 @@ app.post('/api/phase2/submit', async (req, res) => {
             return res.status(400).json({ error: 'Phase 2 already completed' });
         }
 
+        if (team.currentPhase !== 2) {
+            return res.status(400).json({ error: 'Not on Phase 2' });
+        }
+
+        if (!hasRunningAttempt(team, 2)) {
+            return res.status(400).json({ error: 'Start the phase before submitting', notStarted: true });
+        }
+
+        if (isPastDeadline(team, 2)) {
+            return rejectLateSubmission(res, team, 2);
+        }
+
         // Calculate score - only track which are correct/incorrect (no correct answers exposed)
+        const phase2Questions = phase2QuestionsFor(team);
         let score = 0;
         const results = phase2Questions.map((q, index) => {
             const isCorrect = answers[index] === q.correctAnswer;
@@ -660,17 +1118,17 @@ app.post('/api/phase2/submit', async (req, res) => {
 
         const passed = score === phase2Questions.length; // ALL must be correct
 
-        const updateData = {
-            phase2: {
-                completed: passed
+        // Graded either way, so this attempt's clock stops here
+        const advanced = await recordPhaseResult(team, 2, {
+            passed,
+            data: {
+                deadline: null,
+                score,
+                total: phase2Questions.length,
+                scores: [...(team.phase2?.scores || []), score]
             }
-        };
-
-        if (passed) {
-            updateData.currentPhase = 3;
-        }
-
-        await saveTeam(teamId, updateData);
+        });
+        if (!advanced) return sendPhaseConflict(res, 2);
 
         console.log(`📝 Phase 2 - Team: ${team.teamName}, Score: ${score}/${phase2Questions.length}, Passed: ${passed}`);
 
@@ -688,20 +1146,39 @@ app.post('/api/phase2/submit', async (req, res) => {
 });
 
 // Get Phase 3 questions
-app.get('/api/phase3/questions', (req, res) => {
-    const questionsWithoutAnswers = phase3Questions.map(q => ({
-        id: q.id,
-        code: q.code,
-        question: q.question,
-        options: q.options
-    }));
-    res.json(questionsWithoutAnswers);
+app.get('/api/phase3/questions', requireTeam, requireCheckpoint(3), async (req, res) => {
+    try {
+        const found = await getTeamById(req.teamId);
+        if (!found) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        const team = await openTimedPhase(found, 3);
+        if (!team) {
+            return res.status(400).json({ error: 'Not on Phase 3 yet' });
+        }
+
+        const questionsWithoutAnswers = phase3QuestionsFor(team).map(q => ({
+            id: q.id,
+            code: q.code,
+            question: q.question,
+            options: q.options
+        }));
+        res.json({ questions: questionsWithoutAnswers, ...timerState(team, 3) });
+    } catch (error) {
+        console.error('Phase 3 questions error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
 });
 
+// Start the Phase 3 timer
+app.post('/api/phase3/start', requireTeam, requireCheckpoint(3), handlePhaseStart(3));
+
 // Submit Phase 3 answers
-app.post('/api/phase3/submit', async (req, res) => {
+app.post('/api/phase3/submit', requireTeam, requireCheckpoint(3), async (req, res) => {
     try {
-        const { teamId, answers } = req.body;
+        const { answers } = req.body;
+        const teamId = req.teamId;
 
         const team = await getTeamById(teamId);
         if (!team) {
@@ -716,7 +1193,17 @@ app.post('/api/phase3/submit', async (req, res) => {
             return res.status(400).json({ error: 'Phase 3 already completed' });
         }
 
+        if (!hasRunningAttempt(team, 3)) {
+            return res.status(400).json({ error: 'Start the phase before submitting', notStarted: true });
+        }
+
+        if (isPastDeadline(team, 3)) {
+            return rejectLateSubmission(res, team, 3);
+        }
+
         // Calculate score
+        const phase3Questions = phase3QuestionsFor(team);
+        const phase3PassingScore = questionSetFor(team).phase3.passingScore;
         let score = 0;
         const results = phase3Questions.map((q, index) => {
             const isCorrect = answers[index] === q.correctAnswer;
@@ -729,9 +1216,14 @@ app.post('/api/phase3/submit', async (req, res) => {
             };
         });
 
-        const MIN_SCORE = 3;
-        if (score < MIN_SCORE) {
-            console.log(`💻 Phase 3 - Team: ${team.teamName}, Score: ${score}/5, Failed (min ${MIN_SCORE} required)`);
+        if (score < phase3PassingScore) {
+            const recorded = await recordPhaseResult(team, 3, {
+                passed: false,
+                data: { deadline: null, score, total: phase3Questions.length }
+            });
+            if (!recorded) return sendPhaseConflict(res, 3);
+
+            console.log(`💻 Phase 3 - Team: ${team.teamName}, Score: ${score}/${phase3Questions.length}, Failed (min ${phase3PassingScore} required)`);
             return res.json({
                 success: true,
                 score,
@@ -741,16 +1233,13 @@ app.post('/api/phase3/submit', async (req, res) => {
             });
         }
 
-        const updateData = {
-            phase3: {
-                completed: true
-            },
-            currentPhase: 4
-        };
-
-        await saveTeam(teamId, updateData);
+        const advanced = await recordPhaseResult(team, 3, {
+            passed: true,
+            data: { deadline: null, score, total: phase3Questions.length }
+        });
+        if (!advanced) return sendPhaseConflict(res, 3);
 
-        console.log(`💻 Phase 3 - Team: ${team.teamName}, Score: ${score}/5, Completed!`);
+        console.log(`💻 Phase 3 - Team: ${team.teamName}, Score: ${score}/${phase3Questions.length}, Completed!`);
 
         res.json({
             success: true,
@@ -765,15 +1254,88 @@ app.post('/api/phase3/submit', async (req, res) => {
     }
 });
 
-// Get Phase 4 code
-app.get('/api/phase4/code', (req, res) => {
-    res.json({ code: phase4Code });
+// Phase 4 hints unlock as wrong answers pile up (phase4.json hintThresholds);
+// phase4.hintsUsed counts the unlocked ones, which the scoring engine penalises.
+function phase4HintState(team) {
+    const state = team.phase4 || {};
+    const wrongAttempts = Math.max(0, (state.attempts || 0) - (state.completed ? 1 : 0));
+    const hintsUsed = state.hintsUsed || 0;
+    return {
+        attempts: wrongAttempts,
+        hints: phase4.hints.slice(0, hintsUsed),
+        nextHintAt: phase4.hintThresholds[hintsUsed] ?? null,
+        hintPenalty: scoring.rules.penalties.hint
+    };
+}
+
+// How many non-blank lines of the buggy listing a fix dropped or changed
+// (indentation and spacing don't count). Keeps teams fixing the bugs instead
+// of replacing the program with a single printf.
+function countEditedLines(original, fixed) {
+    const normalize = (code) => code.split('\n').map(line => line.trim().replace(/\s+/g, ' ')).filter(Boolean);
+    const remaining = new Map();
+    for (const line of normalize(fixed)) remaining.set(line, (remaining.get(line) || 0) + 1);
+    let edited = 0;
+    for (const line of normalize(original)) {
+        if (remaining.get(line)) remaining.set(line, remaining.get(line) - 1);
+        else edited++;
+    }
+    return edited;
+}
+
+// Every Run or Submit starts an interpreter worker, so each team gets a fixed number per minute
+const PHASE4_RUNS_PER_MINUTE = 20;
+const phase4Runs = new Map(); // teamId -> { count, resetAt }
+
+function takePhase4Run(teamId) {
+    const entry = phase4Runs.get(teamId);
+    if (!entry || Date.now() > entry.resetAt) {
+        phase4Runs.set(teamId, { count: 1, resetAt: Date.now() + 60 * 1000 });
+        return true;
+    }
+    return ++entry.count <= PHASE4_RUNS_PER_MINUTE;
+}
+
+// Get Phase 4 code, with the hints this team has unlocked so far
+app.get('/api/phase4/code', requireTeam, requireCheckpoint(4), async (req, res) => {
+    try {
+        const team = await getTeamById(req.teamId);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+        res.json({ code: phase4.code, ...phase4HintState(team) });
+    } catch (error) {
+        console.error('Phase 4 code error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Compile and run a team's edit of the Phase 4 program - free, never graded
+app.post('/api/phase4/run', requireTeam, requireCheckpoint(4), async (req, res) => {
+    try {
+        const { code } = req.body || {};
+        if (typeof code !== 'string') {
+            return res.status(400).json({ error: 'Code is required' });
+        }
+        if (!takePhase4Run(req.teamId)) {
+            return res.status(429).json({ error: `Too many runs - you can run the program ${PHASE4_RUNS_PER_MINUTE} times a minute` });
+        }
+        res.json(await runCIsolated(code));
+    } catch (error) {
+        console.error('Phase 4 run error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
 });
 
-// Submit Phase 4 answer
-app.post('/api/phase4/submit', async (req, res) => {
+// Submit the fixed Phase 4 program - passes when its real output matches
+app.post('/api/phase4/submit', requireTeam, requireCheckpoint(4), async (req, res) => {
     try {
-        const { teamId, answer } = req.body;
+        const { code } = req.body || {};
+        const teamId = req.teamId;
+
+        if (typeof code !== 'string') {
+            return res.status(400).json({ error: 'Code is required' });
+        }
 
         const team = await getTeamById(teamId);
         if (!team) {
@@ -788,32 +1350,65 @@ app.post('/api/phase4/submit', async (req, res) => {
             return res.status(400).json({ error: 'Phase 4 already completed' });
         }
 
-        const correctAnswer = 'positive sum: 22, count: 4';
-        const userAnswer = answer ? answer.trim().toLowerCase() : '';
-        const isCorrect = userAnswer === correctAnswer || userAnswer === '22';
+        // A rewrite is turned away ungraded, before it is run; anything else that fails
+        // to compile, crashes or prints the wrong thing is a wrong attempt (Run is the free check)
+        const edited = countEditedLines(phase4.code, code);
+        if (phase4.maxEditedLines && edited > phase4.maxEditedLines) {
+            return res.json({
+                success: false,
+                correct: false,
+                message: `You changed ${edited} lines of the original program - fix the bugs rather than rewriting it (at most ${phase4.maxEditedLines} lines).`,
+                ...phase4HintState(team)
+            });
+        }
+
+        if (!takePhase4Run(teamId)) {
+            return res.status(429).json({ error: `Too many runs - you can run the program ${PHASE4_RUNS_PER_MINUTE} times a minute` });
+        }
+        const run = await runCIsolated(code);
 
-        if (isCorrect) {
-            await saveTeam(teamId, {
-                phase4: {
-                    completed: true
-                },
-                currentPhase: 5
+        if (run.ok && normalizeOutput(run.output) === normalizeOutput(phase4.expectedOutput)) {
+            const advanced = await recordPhaseResult(team, 4, {
+                passed: true,
+                data: { roomNumber: phase4.room }
             });
+            if (!advanced) return sendPhaseConflict(res, 4);
 
             console.log(`🔓 Phase 4 - Team: ${team.teamName} solved the buggy code!`);
 
             return res.json({
                 success: true,
                 correct: true,
-                message: 'Correct! The next treasure is at Room 2012!',
-                room: '2012'
+                message: `Correct! The next treasure is at Room ${phase4.room}!`,
+                room: phase4.room,
+                run
             });
         }
 
+        const wrongAttempts = phase4HintState(team).attempts + 1;
+        const hintsUsed = team.phase4?.hintsUsed || 0;
+        const unlocked = phase4.hintThresholds.filter(t => wrongAttempts >= t).length;
+        const newHint = unlocked > hintsUsed;
+
+        const recorded = await recordPhaseResult(team, 4, {
+            passed: false,
+            data: newHint ? { hintsUsed: unlocked } : {}
+        });
+        if (!recorded) return sendPhaseConflict(res, 4);
+
+        if (newHint) {
+            console.log(`💡 Phase 4 - Team: ${team.teamName} unlocked hint ${unlocked} after ${wrongAttempts} wrong submissions`);
+        }
+
         res.json({
             success: false,
             correct: false,
-            message: 'Incorrect output. Try again!'
+            message: !run.ok
+                ? (run.stage === 'compile' ? 'Your program does not compile yet.' : 'Your program crashed while running.')
+                : 'Your program runs, but its output is not right yet. Try again!',
+            run,
+            hint: newHint ? phase4.hints[unlocked - 1] : null,
+            ...phase4HintState({ phase4: { attempts: wrongAttempts, hintsUsed: Math.max(unlocked, hintsUsed) } })
         });
     } catch (error) {
         console.error('Phase 4 submit error:', error.message);
@@ -822,20 +1417,31 @@ app.post('/api/phase4/submit', async (req, res) => {
 });
 
 // Get Phase 5 riddles
-app.get('/api/phase5/riddles', (req, res) => {
-    const riddlesWithoutAnswers = phase5Riddles.map(r => ({
-        id: r.id,
-        type: r.type,
-        riddle: r.riddle,
-        options: r.options
-    }));
-    res.json(riddlesWithoutAnswers);
+app.get('/api/phase5/riddles', requireTeam, requireCheckpoint(5), async (req, res) => {
+    try {
+        const team = await getTeamById(req.teamId);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        const riddlesWithoutAnswers = phase5RiddlesFor(team).map(r => ({
+            id: r.id,
+            type: r.type,
+            riddle: r.riddle,
+            options: r.options
+        }));
+        res.json(riddlesWithoutAnswers);
+    } catch (error) {
+        console.error('Phase 5 riddles error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
 });
 
 // Submit single Phase 5 riddle answer
-app.post('/api/phase5/answer', async (req, res) => {
+app.post('/api/phase5/answer', requireTeam, requireCheckpoint(5), async (req, res) => {
     try {
-        const { teamId, riddleId, answer } = req.body;
+        const { riddleId, answer } = req.body;
+        const teamId = req.teamId;
 
         const team = await getTeamById(teamId);
         if (!team) {
@@ -846,7 +1452,7 @@ app.post('/api/phase5/answer', async (req, res) => {
             return res.status(400).json({ error: 'Not on Phase 5' });
         }
 
-        const riddle = phase5Riddles.find(r => r.id === riddleId);
+        const riddle = phase5RiddlesFor(team).find(r => r.id === riddleId);
         if (!riddle) {
             return res.status(400).json({ error: 'Invalid riddle' });
         }
@@ -869,9 +1475,10 @@ app.post('/api/phase5/answer', async (req, res) => {
 });
 
 // Submit Phase 5 completion
-app.post('/api/phase5/complete', async (req, res) => {
+app.post('/api/phase5/complete', requireTeam, requireCheckpoint(5), async (req, res) => {
     try {
-        const { teamId, answers, score } = req.body;
+        const { answers } = req.body;
+        const teamId = req.teamId;
 
         const team = await getTeamById(teamId);
         if (!team) {
@@ -883,6 +1490,7 @@ app.post('/api/phase5/complete', async (req, res) => {
         }
 
         // Recalculate score server-side for accuracy
+        const phase5Riddles = phase5RiddlesFor(team);
         let serverScore = 0;
         const totalRiddles = phase5Riddles.length;
         if (answers && typeof answers === 'object') {
@@ -901,6 +1509,12 @@ app.post('/api/phase5/complete', async (req, res) => {
 
         // ALL challenges must be correct
         if (serverScore < totalRiddles) {
+            const recorded = await recordPhaseResult(team, 5, {
+                passed: false,
+                data: { score: serverScore, total: totalRiddles }
+            });
+            if (!recorded) return sendPhaseConflict(res, 5);
+
             console.log(`🧩 Phase 5 - Team: ${team.teamName} failed with ${serverScore}/${totalRiddles} (ALL required)`);
             return res.json({
                 success: false,
@@ -910,12 +1524,11 @@ app.post('/api/phase5/complete', async (req, res) => {
             });
         }
 
-        await saveTeam(teamId, {
-            phase5: {
-                completed: true
-            },
-            currentPhase: 6
+        const advanced = await recordPhaseResult(team, 5, {
+            passed: true,
+            data: { score: serverScore, total: totalRiddles }
         });
+        if (!advanced) return sendPhaseConflict(res, 5);
 
         console.log(`🧩 Phase 5 - Team: ${team.teamName} completed with ${serverScore}/${totalRiddles}!`);
 
@@ -930,61 +1543,260 @@ app.post('/api/phase5/complete', async (req, res) => {
     }
 });
 
-// Submit Phase 6 (Final)
-app.post('/api/phase6/submit', upload.none(), async (req, res) => {
+// Submit Phase 6 (Final) - the team photo waits in the admin review queue;
+// the phase only completes once an admin approves it
+app.post('/api/phase6/submit', requireTeam, requireCheckpoint(6), requireCheckIns(6), uploadImage('photo'), async (req, res) => {
     try {
-        const { teamId, locationAnswer } = req.body;
+        const { locationAnswer } = req.body;
+        const teamId = req.teamId;
 
         const team = await getTeamById(teamId);
         if (!team) {
+            discardUpload(req.file);
             return res.status(404).json({ error: 'Team not found' });
         }
 
         if (team.currentPhase !== 6) {
+            discardUpload(req.file);
             return res.status(400).json({ error: 'Not on Phase 6' });
         }
 
         if (team.phase6?.completed) {
+            discardUpload(req.file);
             return res.status(400).json({ error: 'Already completed' });
         }
 
-        await saveTeam(teamId, {
-            phase6: {
-                locationAnswer: locationAnswer || '',
-                completed: true
-            },
-            currentPhase: 7 // Completed
-        });
+        if (team.phase6?.review?.status === 'pending') {
+            discardUpload(req.file);
+            return res.status(400).json({ error: 'Your photo is already waiting for review' });
+        }
+
+        if (!req.file) {
+            return res.status(400).json({ error: 'Please attach your team photo' });
+        }
+
+        const review = {
+            status: 'pending',
+            photoUrl: `/uploads/${req.file.filename}`,
+            locationAnswer: (locationAnswer || '').toString().trim(),
+            submittedAt: Date.now(),
+            note: null,
+            reviewedAt: null
+        };
+        const queued = await store.updateTeamIf(
+            teamId,
+            t => t.currentPhase === 6 && t.phase6?.review?.status !== 'pending',
+            { phase6: { review } }
+        );
+        if (!queued) {
+            discardUpload(req.file);
+            return sendPhaseConflict(res, 6);
+        }
+        events.emit('photo.submitted', { teamId, teamName: team.teamName, photoUrl: review.photoUrl });
 
-        console.log(`🏆 COMPLETED - Team: ${team.teamName} | Location: ${locationAnswer || 'none'}`);
+        console.log(`📸 Photo submitted - Team: ${team.teamName} | Location: ${review.locationAnswer || 'none'}`);
 
         res.json({
             success: true,
-            message: 'Congratulations! You have completed CodeHunt-2026!',
-            teamName: team.teamName,
-            teamLeader: team.teamLeader
+            pending: true,
+            message: 'Photo uploaded! A moderator will review it shortly.',
+            review
         });
     } catch (error) {
+        discardUpload(req.file);
         console.error('Phase 6 submit error:', error.message);
         res.status(500).json({ error: 'Server error: ' + error.message });
     }
 });
 
-// Get leaderboard
+// EventSource can't send headers, and the admin JWT would end up in access logs
+// as a query string - so admins trade it for a short-lived, single-use ticket
+app.post('/api/admin/stream-ticket', requireAdmin, (req, res) => {
+    const now = Date.now();
+    for (const [ticket, expiresAt] of streamTickets) {
+        if (expiresAt <= now) streamTickets.delete(ticket);
+    }
+    const ticket = crypto.randomBytes(24).toString('base64url');
+    streamTickets.set(ticket, now + STREAM_TICKET_TTL_MS);
+    res.json({ ticket, expiresIn: STREAM_TICKET_TTL_MS / 1000 });
+});
+
+// Activity feed: team.registered, phase.attempted, phase.completed and team.deleted
+// events plus the ranking. Admins pass a stream ticket as ?ticket= for full
+// payloads; without one the events are redacted.
+app.get('/api/events', async (req, res) => {
+    let scope = 'public';
+    if (req.query.ticket) {
+        const expiresAt = streamTickets.get(req.query.ticket);
+        streamTickets.delete(req.query.ticket);
+        if (!expiresAt || expiresAt <= Date.now()) {
+            return res.status(401).json({ error: 'Invalid or expired stream ticket' });
+        }
+        scope = 'admin';
+    }
+
+    const client = openSseStream(req, res, scope);
+
+    // Replay what a reconnecting client missed. Admin streams reconnect with a
+    // fresh ticket (a new EventSource), so they pass the last id as ?lastEventId=.
+    const lastEventId = parseInt(req.get('Last-Event-ID') || req.query.lastEventId);
+    if (lastEventId > 0) {
+        for (const event of events.since(lastEventId)) {
+            sendActivityEvent(client, event);
+        }
+    }
+
+    try {
+        sendSseEvent(res, 'leaderboard', await getLeaderboard());
+    } catch (error) {
+        console.error('Event stream error:', error.message);
+    }
+});
+
+// Get ranked leaderboard (?limit=N for the top N)
 app.get('/api/leaderboard', async (req, res) => {
     try {
-        const teams = await getCompletedTeams();
-        res.json(teams);
+        const leaderboard = await getLeaderboard();
+        const limit = parseInt(req.query.limit);
+        res.json(limit > 0 ? leaderboard.slice(0, limit) : leaderboard);
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// ============================================
+// JUDGING PANEL
+// ============================================
+
+// Judge login - issues a signed judge JWT
+app.post('/api/judge/login', async (req, res) => {
+    try {
+        const { name, password } = req.body || {};
+        const judge = typeof name === 'string' ? name.trim().toLowerCase() : '';
+        const hash = judgeAccounts.get(judge);
+
+        if (judgeAccounts.size === 0) {
+            return res.status(503).json({ error: 'No judge accounts are configured on the server' });
+        }
+
+        if (!(await checkPassword(password, hash))) {
+            console.log('🔒 Failed judge login attempt');
+            return res.status(401).json({ error: 'Incorrect name or password' });
+        }
+
+        const token = jwt.sign({ role: 'judge', judge }, JWT_SECRET, { expiresIn: ADMIN_TOKEN_TTL });
+        res.json({ success: true, token, judge });
+    } catch (error) {
+        console.error('Judge login error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Submissions for the calling judge, anonymized: no team name or id, just an
+// entry id. Each judge sees them in their own order to spread out order bias.
+app.get('/api/judge/entries', requireJudge, async (req, res) => {
+    try {
+        const submissions = judgedSubmissions(await getAllTeams());
+        const order = permutation(submissions.length, seededRandom(`judge:${req.judge}`));
+        const entries = order.map(i => submissions[i]).map(entry => ({
+            entryId: entry.entryId,
+            phase: entry.phase,
+            imageUrl: entry.imageUrl,
+            caption: entry.caption,
+            myScores: entry.judging?.scores?.[req.judge]?.criteria || null
+        }));
+        res.json({ judge: req.judge, phases: judging.config.phases, entries });
+    } catch (error) {
+        console.error('Judge entries error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Score one entry as `judge`; scoring it again replaces that judge's earlier scores.
+// The aggregate (mean, median, outliers, total) is recomputed and written back with it.
+// Shared by the judging panel and the admin dashboard.
+async function scoreEntry(req, res, judge) {
+    try {
+        const { criteria } = req.body || {};
+        const entry = judgedSubmissions(await getAllTeams()).find(e => e.entryId === req.params.entryId);
+        if (!entry) {
+            return res.status(404).json({ error: 'Entry not found' });
+        }
+
+        const invalid = judging.validateScores(entry.phase, criteria);
+        if (invalid) {
+            return res.status(400).json({ error: invalid });
+        }
+
+        const rubric = judging.config.phases[entry.phase].criteria;
+        const cleaned = Object.fromEntries(Object.keys(rubric).map(criterion => [criterion, criteria[criterion]]));
+        const version = entry.judging?.version || 0;
+        const scores = {
+            ...entry.judging?.scores,
+            [judge]: { criteria: cleaned, total: Object.values(cleaned).reduce((sum, v) => sum + v, 0), at: Date.now() }
+        };
+        const result = { scores, ...judging.aggregate(entry.phase, scores), version: version + 1, updatedAt: Date.now() };
+
+        // Compare-and-set on the version so two judges saving at once can't drop a score
+        const key = `phase${entry.phase}`;
+        const saved = await store.updateTeamIf(
+            entry.team.teamId,
+            t => (t[key]?.judging?.version || 0) === version,
+            { [key]: { judging: result } }
+        );
+        if (!saved) {
+            return res.status(409).json({ error: 'Another judge just scored this entry - please save again' });
+        }
+        events.emit('entry.judged', {
+            teamId: entry.team.teamId,
+            teamName: entry.team.teamName,
+            phase: Number(entry.phase),
+            judge,
+            judgeCount: result.judgeCount,
+            total: result.total
+        });
+
+        console.log(`🧑‍⚖️ ${judge} judged Phase ${entry.phase} - Team: ${entry.team.teamName}`);
+        res.json({ success: true, myScores: cleaned });
+    } catch (error) {
+        console.error('Judge score error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+}
+
+app.post('/api/judge/entries/:entryId/score', requireJudge, (req, res) => scoreEntry(req, res, req.judge));
+
+// Admin login - issues a signed admin JWT
+app.post('/api/admin/login', async (req, res) => {
+    try {
+        const { password } = req.body || {};
+
+        if (!adminPasswordHash) {
+            return res.status(503).json({ error: 'Admin login is not configured on the server' });
+        }
+
+        if (!(await checkPassword(password, adminPasswordHash))) {
+            console.log('🔒 Failed admin login attempt');
+            return res.status(401).json({ error: 'Incorrect password' });
+        }
+
+        const token = jwt.sign({ role: 'admin' }, JWT_SECRET, { expiresIn: ADMIN_TOKEN_TTL });
+
+        res.json({ success: true, token });
     } catch (error) {
+        console.error('Admin login error:', error.message);
         res.status(500).json({ error: 'Server error' });
     }
 });
 
+// Every other /api/admin/* route requires a valid admin token
+app.use('/api/admin', requireAdmin);
+
 // Admin routes
 app.get('/api/admin/teams', async (req, res) => {
     try {
         const teams = await getAllTeams();
-        res.json(teams);
+        res.json(teams.map(publicTeam));
     } catch (error) {
         res.status(500).json({ error: 'Server error' });
     }
@@ -992,19 +1804,167 @@ app.get('/api/admin/teams', async (req, res) => {
 
 app.get('/api/admin/stats', async (req, res) => {
     try {
-        const stats = await getStats();
-        res.json({
-            totalTeams: stats.totalTeams,
-            phaseStats: {
-                phase1: stats.phase1,
-                phase2: stats.phase2,
-                phase3: stats.phase3,
-                phase4: stats.phase4,
-                phase5: stats.phase5,
-                phase6: stats.phase6
+        res.json(formatStats(await getStats()));
+    } catch (error) {
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Admin: judging panel results - every submission with each judge's scores,
+// mean, median and outliers, least-judged first
+app.get('/api/admin/judging', async (req, res) => {
+    try {
+        const entries = judgedSubmissions(await getAllTeams()).map(entry => ({
+            entryId: entry.entryId,
+            teamId: entry.team.teamId,
+            teamName: entry.team.teamName,
+            phase: entry.phase,
+            imageUrl: entry.imageUrl,
+            caption: entry.caption,
+            judging: entry.judging
+        }));
+        entries.sort((a, b) => (a.judging?.judgeCount || 0) - (b.judging?.judgeCount || 0) || a.phase.localeCompare(b.phase));
+        res.json({ config: judging.config, judges: [...judgeAccounts.keys()], adminJudge: ADMIN_JUDGE, entries });
+    } catch (error) {
+        console.error('Judging results error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Admin: score an entry from the dashboard - the admin is one more judge on the panel
+app.post('/api/admin/judging/:entryId/score', (req, res) => scoreEntry(req, res, ADMIN_JUDGE));
+
+// Admin: every QR code with its URL, location and QR image (SVG).
+// ?baseUrl= is the site address teams will open (see qrBaseUrl).
+app.get('/api/admin/checkpoints', async (req, res) => {
+    try {
+        const baseUrl = qrBaseUrl(req);
+        if (!baseUrl) {
+            return res.status(400).json({ error: 'baseUrl must be an http(s) address' });
+        }
+        const codes = await Promise.all(printedCodes(baseUrl).map(async (code) => ({ ...code, svg: await qrSvg(code.url) })));
+        res.json({ required: CHECKPOINTS_REQUIRED, baseUrl, checkpoints: codes });
+    } catch (error) {
+        console.error('Checkpoints error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Admin: print-ready HTML sheet of every QR code, one per page (same ?baseUrl= as above)
+app.get('/api/admin/qr-sheet', async (req, res) => {
+    try {
+        const baseUrl = qrBaseUrl(req);
+        if (!baseUrl) {
+            return res.status(400).json({ error: 'baseUrl must be an http(s) address' });
+        }
+        const html = await renderQrSheet({ edition: content.edition, baseUrl, codes: printedCodes(baseUrl) });
+        res.type('html').send(html);
+    } catch (error) {
+        console.error('QR sheet error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Admin: Phase 6 photos waiting for review, oldest first
+app.get('/api/admin/photos', async (req, res) => {
+    try {
+        const teams = await getAllTeams();
+        const pending = teams
+            .filter(team => team.currentPhase === 6 && team.phase6?.review?.status === 'pending')
+            .map(team => ({
+                teamId: team.teamId,
+                teamName: team.teamName,
+                teamLeader: team.teamLeader,
+                attempts: team.phase6.attempts || 0,
+                ...team.phase6.review
+            }))
+            .sort((a, b) => a.submittedAt - b.submittedAt);
+        res.json(pending);
+    } catch (error) {
+        console.error('Photo queue error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Admin: approve or reject a team's Phase 6 photo. Approval completes the hunt
+// as of the upload time, so time spent in the queue doesn't count against the team.
+app.post('/api/admin/photos/:teamId/review', async (req, res) => {
+    try {
+        const { approve, note } = req.body || {};
+        if (typeof approve !== 'boolean') {
+            return res.status(400).json({ error: 'approve must be true or false' });
+        }
+
+        const team = await getTeamById(req.params.teamId);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        const review = team.phase6?.review;
+        if (team.currentPhase !== 6 || review?.status !== 'pending') {
+            return res.status(400).json({ error: 'No photo waiting for review' });
+        }
+
+        const recorded = await recordPhaseResult(team, 6, {
+            passed: approve,
+            at: review.submittedAt,
+            data: {
+                locationAnswer: review.locationAnswer,
+                photoUrl: review.photoUrl,
+                review: {
+                    ...review,
+                    status: approve ? 'approved' : 'rejected',
+                    note: (note || '').toString().trim() || null,
+                    reviewedAt: Date.now()
+                }
             }
         });
+        if (!recorded) {
+            return res.status(409).json({ error: 'This photo was already reviewed' });
+        }
+
+        console.log(`${approve ? '🏆 COMPLETED' : '🚫 Photo rejected'} - Team: ${team.teamName}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Photo review error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Admin: check a team in at a treasure location by hand, e.g. when GPS fails indoors
+app.post('/api/admin/teams/:teamId/check-ins/:locationId', async (req, res) => {
+    try {
+        const { teamId, locationId } = req.params;
+        if (!CHECK_IN_LOCATIONS.includes(locationId)) {
+            return res.status(400).json({ error: `Unknown check-in location (${CHECK_IN_LOCATIONS.join(', ')})` });
+        }
+
+        const team = await getTeamById(teamId);
+        if (!team) {
+            return res.status(404).json({ error: 'Team not found' });
+        }
+
+        await saveTeam(teamId, { locationCheckins: { [locationId]: { verified: true, override: true, at: Date.now() } } });
+
+        console.log(`🛂 Check-in ${locationId} overridden by admin - Team: ${team.teamName}`);
+        res.json({ success: true });
+    } catch (error) {
+        console.error('Check-in override error:', error.message);
+        res.status(500).json({ error: 'Server error' });
+    }
+});
+
+// Projector display data - public aggregate numbers only, no admin login needed
+app.get('/api/display', async (req, res) => {
+    try {
+        res.json({
+            ...formatStats(await getStats()),
+            recentAchievements: await getRecentAchievements(),
+            schedule: eventSchedule,
+            serverTime: Date.now()
+        });
     } catch (error) {
+        console.error('Display data error:', error.message);
         res.status(500).json({ error: 'Server error' });
     }
 });
@@ -1013,7 +1973,7 @@ app.get('/api/admin/stats', async (req, res) => {
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'ok',
-        database: useFirebase ? 'Firebase Firestore' : 'In-Memory',
+        database: store.label,
         timestamp: new Date().toISOString()
     });
 });
@@ -1023,11 +1983,9 @@ app.delete('/api/admin/teams/:teamId', async (req, res) => {
     try {
         const { teamId } = req.params;
 
-        if (useFirebase) {
-            await db.collection('teams').doc(teamId).delete();
-        } else {
-            teamsDB.delete(teamId);
-        }
+        const team = await getTeamById(teamId);
+        await store.deleteTeam(teamId);
+        events.emit('team.deleted', { teamId, teamName: team?.teamName });
 
         console.log(`🗑️ Team deleted: ${teamId}`);
         res.json({ success: true, message: 'Team deleted' });
@@ -1040,14 +1998,8 @@ app.delete('/api/admin/teams/:teamId', async (req, res) => {
 // Admin: Clear all teams (for testing - BE CAREFUL!)
 app.delete('/api/admin/clear-all', async (req, res) => {
     try {
-        if (useFirebase) {
-            const snapshot = await db.collection('teams').get();
-            const batch = db.batch();
-            snapshot.docs.forEach(doc => batch.delete(doc.ref));
-            await batch.commit();
-        } else {
-            teamsDB.clear();
-        }
+        await store.clearAll();
+        events.emit('team.deleted', { all: true });
 
         console.log('🗑️ All teams cleared!');
         res.json({ success: true, message: 'All teams cleared' });
@@ -1072,8 +2024,8 @@ if (fs.existsSync(frontendPath)) {
 const PORT = process.env.PORT || 5000;
 app.listen(PORT, '0.0.0.0', () => {
     console.log(`\n🚀 CodeHunt-2026 Server running on port ${PORT}`);
-    console.log(`📦 Database: ${useFirebase ? 'Firebase Firestore ✓' : 'In-Memory (add firebase-credentials.json for Firebase)'}`);
-    if (!useFirebase) {
+    console.log(`📦 Database: ${store.label}${store.durable ? ' ✓' : ' (set STORAGE=file or add firebase-credentials.json to keep data)'}`);
+    if (!store.durable) {
         console.log(`⚠️  Data will be lost when server restarts`);
     }
     console.log('');
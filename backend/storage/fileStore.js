@@ -0,0 +1,34 @@
+const fs = require('fs');
+const path = require('path');
+const { createMemoryStore } = require('./memoryStore');
+
+// Durable local store: the memory store, with the whole team collection
+// rewritten to a JSON file after every change. Meant for running an event
+// on a single laptop without Firebase.
+function createFileStore({ filePath }) {
+    const tmpPath = filePath + '.tmp';
+
+    // Write to a temp file then rename, so a crash mid-write never leaves a truncated file
+    const persist = (_change, teamsDB) => {
+        const data = JSON.stringify({ teams: Array.from(teamsDB.values()) }, null, 2);
+        fs.writeFileSync(tmpPath, data);
+        fs.renameSync(tmpPath, filePath);
+    };
+
+    let initialTeams = [];
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    if (fs.existsSync(filePath)) {
+        const raw = fs.readFileSync(filePath, 'utf8');
+        try {
+            initialTeams = JSON.parse(raw).teams || [];
+        } catch (error) {
+            throw new Error(`Data file ${filePath} is not valid JSON: ${error.message}`);
+        }
+    }
+
+    const store = createMemoryStore({ label: 'JSON File', onChange: persist, initialTeams });
+
+    return { ...store, name: 'file', durable: true, filePath };
+}
+
+module.exports = { createFileStore };
@@ -0,0 +1,67 @@
+const { flattenObject } = require('./merge');
+
+// Firestore-backed team store - one document per team in the "teams" collection
+function createFirestoreStore({ db }) {
+    const teams = db.collection('teams');
+
+    return {
+        name: 'firestore',
+        label: 'Firebase Firestore',
+        durable: true,
+
+        async findTeamBy(field, value) {
+            const snapshot = await teams.where(field, '==', value).limit(1).get();
+            if (snapshot.empty) return null;
+            return { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+        },
+
+        async getTeamById(teamId) {
+            const doc = await teams.doc(teamId).get();
+            if (!doc.exists) return null;
+            return { id: doc.id, ...doc.data() };
+        },
+
+        async createTeam(teamId, teamData) {
+            await teams.doc(teamId).set(teamData);
+        },
+
+        // Use update() with dot paths so nested phase fields are merged, not replaced
+        async saveTeam(teamId, teamData) {
+            try {
+                await teams.doc(teamId).update(flattenObject(teamData));
+            } catch (error) {
+                console.error('Firebase saveTeam error:', error.message);
+                throw error;
+            }
+        },
+
+        // Read-check-write inside a transaction; Firestore retries it if the doc changes underneath
+        async updateTeamIf(teamId, predicate, teamData) {
+            const ref = teams.doc(teamId);
+            return db.runTransaction(async (tx) => {
+                const doc = await tx.get(ref);
+                if (!doc.exists || !predicate(doc.data())) return false;
+                tx.update(ref, flattenObject(teamData));
+                return true;
+            });
+        },
+
+        async getAllTeams() {
+            const snapshot = await teams.get();
+            return snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+        },
+
+        async deleteTeam(teamId) {
+            await teams.doc(teamId).delete();
+        },
+
+        async clearAll() {
+            const snapshot = await teams.get();
+            const batch = db.batch();
+            snapshot.docs.forEach(doc => batch.delete(doc.ref));
+            await batch.commit();
+        }
+    };
+}
+
+module.exports = { createFirestoreStore };
@@ -0,0 +1,114 @@
+const fs = require('fs');
+const path = require('path');
+const admin = require('firebase-admin');
+const { createMemoryStore } = require('./memoryStore');
+const { createFileStore } = require('./fileStore');
+const { createFirestoreStore } = require('./firestoreStore');
+const { createJournal } = require('./journal');
+
+// Every adapter exposes the same async interface:
+//   findTeamBy(field, value), getTeamById(teamId), createTeam(teamId, data),
+//   saveTeam(teamId, partialData), updateTeamIf(teamId, predicate, partialData),
+//   getAllTeams(), deleteTeam(teamId), clearAll()
+// plus name / label / durable for logging and the health check.
+
+// Connect to Firestore from FIREBASE_CREDENTIALS or backend/firebase-credentials.json
+function connectFirestore() {
+    const serviceAccountPath = path.join(__dirname, '..', 'firebase-credentials.json');
+
+    if (process.env.FIREBASE_CREDENTIALS) {
+        try {
+            const serviceAccount = JSON.parse(process.env.FIREBASE_CREDENTIALS);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount)
+            });
+            console.log('✅ Firebase Firestore connected via env variable!');
+            return admin.firestore();
+        } catch (error) {
+            console.error('❌ Firebase env parse error:', error.message);
+            return null;
+        }
+    }
+
+    if (fs.existsSync(serviceAccountPath)) {
+        try {
+            const serviceAccount = require(serviceAccountPath);
+            admin.initializeApp({
+                credential: admin.credential.cert(serviceAccount)
+            });
+            console.log('✅ Firebase Firestore connected successfully!');
+            return admin.firestore();
+        } catch (error) {
+            console.error('❌ Firebase initialization error:', error.message);
+            return null;
+        }
+    }
+
+    console.log('⚠️  firebase-credentials.json not found');
+    console.log('📝 To use Firebase:');
+    console.log('   1. Go to Firebase Console → Project Settings → Service Accounts');
+    console.log('   2. Generate new private key');
+    console.log('   3. Save as backend/firebase-credentials.json');
+    console.log('');
+    return null;
+}
+
+// Memory store backed by an on-disk journal + snapshots, unless MEMORY_JOURNAL=off
+function createJournaledMemoryStore(env) {
+    if ((env.MEMORY_JOURNAL || '').toLowerCase() === 'off') {
+        console.log('⚠️  MEMORY_JOURNAL=off - teams will be lost on restart');
+        return createMemoryStore();
+    }
+
+    const journal = createJournal({
+        dir: path.resolve(__dirname, '..', env.MEMORY_JOURNAL_DIR || 'data'),
+        snapshotIntervalMs: (parseInt(env.MEMORY_SNAPSHOT_SECONDS, 10) || 60) * 1000
+    });
+    const { teams, replayed } = journal.restore();
+
+    const store = createMemoryStore({
+        label: 'In-Memory (journaled)',
+        onChange: journal.record,
+        initialTeams: teams.values()
+    });
+    journal.startSnapshots(store.teamsDB);
+
+    console.log(`♻️  Restored ${teams.size} teams from memory snapshot/journal (${replayed} journal entries replayed)`);
+    return { ...store, durable: true };
+}
+
+// Pick the adapter from STORAGE (firestore | file | memory).
+// Without STORAGE: Firestore when credentials are present, otherwise memory.
+function createStorage(env = process.env) {
+    const requested = (env.STORAGE || '').toLowerCase();
+
+    if (requested === 'file') {
+        const filePath = path.resolve(__dirname, '..', env.DATA_FILE || 'data/teams.json');
+        const store = createFileStore({ filePath });
+        console.log(`💾 Using JSON file storage: ${filePath} (${store.teamsDB.size} teams loaded)\n`);
+        return store;
+    }
+
+    if (requested === 'memory') {
+        console.log('📦 Using in-memory database (STORAGE=memory)\n');
+        return createJournaledMemoryStore(env);
+    }
+
+    if (requested && requested !== 'firestore') {
+        throw new Error(`Unknown STORAGE "${env.STORAGE}" - use firestore, file or memory`);
+    }
+
+    const db = connectFirestore();
+    if (db) {
+        return createFirestoreStore({ db });
+    }
+
+    if (requested === 'firestore') {
+        throw new Error('STORAGE=firestore but Firebase could not be initialized');
+    }
+
+    console.log('📦 Using in-memory database for now...\n');
+    return createJournaledMemoryStore(env);
+}
+
+module.exports = { createStorage };
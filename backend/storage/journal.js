@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+const { deepMerge } = require('./merge');
+
+// Crash safety for the in-memory store: every change is appended to a
+// JSONL journal before the request returns, and the journal is folded into
+// a snapshot periodically. On boot: load the snapshot, then replay the journal.
+function createJournal({ dir, snapshotIntervalMs = 60 * 1000, maxEntries = 500 }) {
+    const journalPath = path.join(dir, 'memory-journal.jsonl');
+    const snapshotPath = path.join(dir, 'memory-snapshot.json');
+    const tmpPath = snapshotPath + '.tmp';
+    let entries = 0;
+
+    fs.mkdirSync(dir, { recursive: true });
+
+    function applyChange(teams, change) {
+        switch (change.op) {
+            case 'create':
+                teams.set(change.teamId, change.data);
+                break;
+            case 'save':
+                teams.set(change.teamId, deepMerge(teams.get(change.teamId) || {}, change.data));
+                break;
+            case 'delete':
+                teams.delete(change.teamId);
+                break;
+            case 'clear':
+                teams.clear();
+                break;
+        }
+    }
+
+    // Returns { teams, replayed } - replayed is the number of journal entries applied
+    function restore() {
+        const teams = new Map();
+
+        if (fs.existsSync(snapshotPath)) {
+            const snapshot = JSON.parse(fs.readFileSync(snapshotPath, 'utf8'));
+            for (const team of snapshot.teams || []) {
+                teams.set(team.teamId, team);
+            }
+        }
+
+        let replayed = 0;
+        let unreadable = 0;
+        if (fs.existsSync(journalPath)) {
+            const lines = fs.readFileSync(journalPath, 'utf8').split('\n');
+            for (const line of lines) {
+                if (!line.trim()) continue;
+                try {
+                    applyChange(teams, JSON.parse(line));
+                    replayed++;
+                } catch {
+                    // A crash mid-append can leave one torn line at the end - skip it
+                    console.log('⚠️  Skipping unreadable journal entry');
+                    unreadable++;
+                }
+            }
+        }
+
+        // The torn line is still in the file, and the next append would land on
+        // the end of it and be lost with it on the following replay - so fold
+        // what was restored into a snapshot and start a clean journal now
+        entries = replayed;
+        if (unreadable > 0) writeSnapshot(teams);
+        return { teams, replayed };
+    }
+
+    function append(change) {
+        fs.appendFileSync(journalPath, JSON.stringify(change) + '\n');
+        entries++;
+    }
+
+    // Write the full map as a snapshot, then start a fresh journal.
+    // Replaying entries already in the snapshot is harmless (every op is idempotent),
+    // so a crash between the two writes loses nothing.
+    function writeSnapshot(teamsDB) {
+        const data = JSON.stringify({ savedAt: new Date().toISOString(), teams: Array.from(teamsDB.values()) });
+        fs.writeFileSync(tmpPath, data);
+        fs.renameSync(tmpPath, snapshotPath);
+        fs.writeFileSync(journalPath, '');
+        entries = 0;
+    }
+
+    function snapshot(teamsDB) {
+        if (entries === 0) return;
+        writeSnapshot(teamsDB);
+    }
+
+    function record(change, teamsDB) {
+        append(change);
+        if (entries >= maxEntries) snapshot(teamsDB);
+    }
+
+    function startSnapshots(teamsDB) {
+        const timer = setInterval(() => {
+            try {
+                snapshot(teamsDB);
+            } catch (error) {
+                console.error('Memory snapshot error:', error.message);
+            }
+        }, snapshotIntervalMs);
+        timer.unref();
+    }
+
+    return { restore, record, snapshot, startSnapshots, journalPath, snapshotPath };
+}
+
+module.exports = { createJournal };
@@ -0,0 +1,72 @@
+const { deepMerge } = require('./merge');
+
+// In-memory team store. Everything is lost on restart unless a caller
+// persists it through the onChange hook, which receives each change
+// ({ op, teamId, data }) along with the full map.
+function createMemoryStore({ label = 'In-Memory', onChange, initialTeams = [] } = {}) {
+    const teamsDB = new Map();
+    for (const team of initialTeams) {
+        teamsDB.set(team.teamId, team);
+    }
+
+    const changed = (change) => {
+        if (onChange) onChange(change, teamsDB);
+    };
+
+    return {
+        name: 'memory',
+        label,
+        durable: false,
+        teamsDB,
+
+        async findTeamBy(field, value) {
+            for (const team of teamsDB.values()) {
+                if (team[field] === value) {
+                    return team;
+                }
+            }
+            return null;
+        },
+
+        async getTeamById(teamId) {
+            return teamsDB.get(teamId) || null;
+        },
+
+        async createTeam(teamId, teamData) {
+            teamsDB.set(teamId, teamData);
+            changed({ op: 'create', teamId, data: teamData });
+        },
+
+        async saveTeam(teamId, teamData) {
+            const existingTeam = teamsDB.get(teamId) || {};
+            deepMerge(existingTeam, teamData);
+            teamsDB.set(teamId, existingTeam);
+            changed({ op: 'save', teamId, data: teamData });
+        },
+
+        // Check and write with no await in between - nothing can interleave on the event loop
+        async updateTeamIf(teamId, predicate, teamData) {
+            const existingTeam = teamsDB.get(teamId);
+            if (!existingTeam || !predicate(existingTeam)) return false;
+            deepMerge(existingTeam, teamData);
+            changed({ op: 'save', teamId, data: teamData });
+            return true;
+        },
+
+        async getAllTeams() {
+            return Array.from(teamsDB.values());
+        },
+
+        async deleteTeam(teamId) {
+            teamsDB.delete(teamId);
+            changed({ op: 'delete', teamId });
+        },
+
+        async clearAll() {
+            teamsDB.clear();
+            changed({ op: 'clear' });
+        }
+    };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,29 @@
+// Shared helpers for adapters that keep whole team documents in memory
+
+// Deep merge partial updates into an existing team (same semantics as Firestore dot-path update)
+function deepMerge(target, source) {
+    for (const key in source) {
+        if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+            if (!target[key] || typeof target[key] !== 'object') target[key] = {};
+            deepMerge(target[key], source[key]);
+        } else {
+            target[key] = source[key];
+        }
+    }
+    return target;
+}
+
+// Flatten nested objects to dot notation for Firebase update()
+function flattenObject(obj, prefix = '') {
+    return Object.keys(obj).reduce((acc, key) => {
+        const newKey = prefix ? `${prefix}.${key}` : key;
+        if (typeof obj[key] === 'object' && obj[key] !== null && !Array.isArray(obj[key]) && !(obj[key] instanceof Date)) {
+            Object.assign(acc, flattenObject(obj[key], newKey));
+        } else {
+            acc[newKey] = obj[key];
+        }
+        return acc;
+    }, {});
+}
+
+module.exports = { deepMerge, flattenObject };
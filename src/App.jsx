@@ -1,5 +1,5 @@
-import { Routes, Route } from 'react-router-dom'
-import { useState, useEffect } from 'react'
+import { Routes, Route, useLocation } from 'react-router-dom'
+import { useState, useEffect, useCallback } from 'react'
 import LandingPage from './pages/LandingPage'
 import Register from './pages/Register'
 import Phase1 from './pages/Phase1'
@@ -9,19 +9,35 @@ import Phase4 from './pages/Phase4'
 import Phase5 from './pages/Phase5'
 import Phase6 from './pages/Phase6'
 import Phase5Location2 from './pages/Phase5Location2'
+import Leaderboard from './pages/Leaderboard'
+import Display from './pages/Display'
 
 import Admin from './pages/Admin'
+import Judge from './pages/Judge'
 import Layout from './components/Layout'
-
-export const API_URL = import.meta.env.VITE_API_URL || '/api'
+import CheckpointGate from './components/CheckpointGate'
+import { API_URL, teamHeaders } from './api'
 
 function App() {
-  const [team, setTeam] = useState(() => {
+  const location = useLocation()
+  const [team, setTeamState] = useState(() => {
     const saved = localStorage.getItem('codehunt_team')
-    return saved ? JSON.parse(saved) : null
+    const parsed = saved ? JSON.parse(saved) : null
+    // Sessions saved before team tokens existed can't call the API anymore
+    if (parsed && !parsed.token) {
+      localStorage.removeItem('codehunt_team')
+      return null
+    }
+    return parsed
   })
   const [syncing, setSyncing] = useState(true)
 
+  // Team records from the server don't carry the session token, so keep the current one.
+  // Stable across renders so pages can list it as an effect dependency.
+  const setTeam = useCallback((data) => {
+    setTeamState(prev => data ? { ...data, token: data.token || prev?.token } : null)
+  }, [])
+
   useEffect(() => {
     if (team) {
       localStorage.setItem('codehunt_team', JSON.stringify(team))
@@ -30,9 +46,17 @@ function App() {
 
   // Re-fetch team data from server on load to sync localStorage with latest state
   useEffect(() => {
-    if (team && team.teamName) {
-      fetch(`${API_URL}/teams/${team.teamName}`)
-        .then(res => res.ok ? res.json() : null)
+    if (team && team.token) {
+      fetch(`${API_URL}/teams/me`, { headers: teamHeaders(team) })
+        .then(res => {
+          // Session no longer valid - drop it so the team can resume again
+          if (res.status === 401 || res.status === 404) {
+            localStorage.removeItem('codehunt_team')
+            setTeam(null)
+            return null
+          }
+          return res.ok ? res.json() : null
+        })
         .then(data => {
           if (data) setTeam(data)
         })
@@ -43,6 +67,11 @@ function App() {
     }
   }, [])
 
+  // Projector mode runs full screen, outside the site chrome, and needs no team
+  if (location.pathname === '/display') {
+    return <Display />
+  }
+
   if (syncing) {
     return (
       <Layout team={team}>
@@ -60,14 +89,16 @@ function App() {
         <Route path="/" element={<LandingPage team={team} setTeam={setTeam} />} />
         <Route path="/register" element={<Register team={team} setTeam={setTeam} />} />
         <Route path="/phase1" element={<Phase1 team={team} setTeam={setTeam} />} />
-        <Route path="/phase2" element={<Phase2 team={team} setTeam={setTeam} />} />
-        <Route path="/phase3" element={<Phase3 team={team} setTeam={setTeam} />} />
-        <Route path="/phase4" element={<Phase4 team={team} setTeam={setTeam} />} />
-        <Route path="/phase5" element={<Phase5 team={team} setTeam={setTeam} />} />
-        <Route path="/phase6" element={<Phase6 team={team} setTeam={setTeam} />} />
-        <Route path="/phase5-location2" element={<Phase5Location2 />} />
+        <Route path="/phase2" element={<CheckpointGate phase={2} team={team} setTeam={setTeam}><Phase2 team={team} setTeam={setTeam} /></CheckpointGate>} />
+        <Route path="/phase3" element={<CheckpointGate phase={3} team={team} setTeam={setTeam}><Phase3 team={team} setTeam={setTeam} /></CheckpointGate>} />
+        <Route path="/phase4" element={<CheckpointGate phase={4} team={team} setTeam={setTeam}><Phase4 team={team} setTeam={setTeam} /></CheckpointGate>} />
+        <Route path="/phase5" element={<CheckpointGate phase={5} team={team} setTeam={setTeam}><Phase5 team={team} setTeam={setTeam} /></CheckpointGate>} />
+        <Route path="/phase6" element={<CheckpointGate phase={6} team={team} setTeam={setTeam}><Phase6 team={team} setTeam={setTeam} /></CheckpointGate>} />
+        <Route path="/phase5-location2" element={<Phase5Location2 team={team} setTeam={setTeam} />} />
+        <Route path="/leaderboard" element={<Leaderboard />} />
 
         <Route path="/admin" element={<Admin />} />
+        <Route path="/judge" element={<Judge />} />
       </Routes>
     </Layout>
   )
@@ -0,0 +1,7 @@
+export const API_URL = import.meta.env.VITE_API_URL || '/api'
+
+// Headers for team-scoped API calls - the server derives the team from this token
+export const teamHeaders = (team) => ({
+  'Content-Type': 'application/json',
+  Authorization: `Bearer ${team?.token}`
+})
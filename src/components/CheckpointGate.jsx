@@ -0,0 +1,60 @@
+import { useState, useEffect } from 'react'
+import { useSearchParams } from 'react-router-dom'
+import { QrCode } from 'lucide-react'
+import { API_URL, teamHeaders } from '../api'
+
+// Wraps a phase page: printed QR codes open /phaseN?cp=<token>, which is
+// recorded as a scan for the team before the page unlocks.
+export default function CheckpointGate({ phase, team, setTeam, children }) {
+    const [searchParams, setSearchParams] = useSearchParams()
+    const token = searchParams.get('cp')
+    const [scanning, setScanning] = useState(Boolean(token && team))
+    const [error, setError] = useState('')
+    // Only the session token matters here - the scan itself updates the team record
+    const teamToken = team?.token
+
+    useEffect(() => {
+        if (!token || !teamToken) return
+        fetch(`${API_URL}/checkpoints/scan`, {
+            method: 'POST',
+            headers: teamHeaders({ token: teamToken }),
+            body: JSON.stringify({ token })
+        })
+            .then(async res => {
+                const data = await res.json()
+                if (res.ok) {
+                    setTeam(data.team)
+                    setError('')
+                } else {
+                    setError(data.error || 'Could not record the scan')
+                }
+            })
+            .catch(() => setError('Failed to connect to server'))
+            .finally(() => {
+                // Drop the token so a refresh or a shared link doesn't re-send it
+                setSearchParams({}, { replace: true })
+                setScanning(false)
+            })
+    }, [token, teamToken, setTeam, setSearchParams])
+
+    if (scanning) {
+        return (
+            <div className="container" style={{ textAlign: 'center', padding: '60px 0' }}>
+                <div className="spinner" />
+                <p>Checking in...</p>
+            </div>
+        )
+    }
+
+    const locked = team?.checkpointsRequired && team.currentPhase === phase && !team.checkpoints?.[`phase${phase}`]
+    if (!locked) return children
+
+    return (
+        <div className="container" style={{ textAlign: 'center', padding: '60px 0' }}>
+            <QrCode size={60} style={{ color: '#FFD700', marginBottom: '20px' }} />
+            <h2>Find the Phase {phase} QR Code</h2>
+            <p>This phase unlocks when you scan its QR code at the location with your phone camera.</p>
+            {error && <p className="form-error">{error}</p>}
+        </div>
+    )
+}
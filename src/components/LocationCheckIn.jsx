@@ -0,0 +1,92 @@
+import { useState } from 'react'
+import { MapPin, Check } from 'lucide-react'
+import { API_URL, teamHeaders } from '../api'
+
+const GEOLOCATION_ERRORS = {
+    1: 'Location access is blocked - allow it for this site in your browser settings, or ask an organizer to check you in.',
+    2: 'Your phone could not find its position - step outside and try again.',
+    3: 'Finding your position took too long - try again.'
+}
+
+// Browser position as a promise; rejects with a message the team can act on
+function currentPosition() {
+    return new Promise((resolve, reject) => {
+        if (!navigator.geolocation) {
+            reject(new Error('This browser cannot share its location - ask an organizer to check you in.'))
+            return
+        }
+        navigator.geolocation.getCurrentPosition(
+            (position) => resolve(position.coords),
+            (err) => reject(new Error(GEOLOCATION_ERRORS[err.code] || 'Could not get your location')),
+            { enableHighAccuracy: true, timeout: 20000, maximumAge: 0 }
+        )
+    })
+}
+
+// Check-in buttons for the geofenced treasure locations the team still owes
+// (team.pendingCheckIns). `only` limits it to the locations a page is about.
+export default function LocationCheckIn({ team, setTeam, only }) {
+    const [checking, setChecking] = useState(null)
+    const [error, setError] = useState('')
+    // Labels of the check-ins made from this page, to confirm them once they leave pendingCheckIns
+    const [done, setDone] = useState([])
+
+    const pending = (team?.pendingCheckIns || []).filter(location => !only || only.includes(location.id))
+    if (pending.length === 0 && done.length === 0) return null
+
+    const checkIn = async ({ id: locationId, label }) => {
+        setChecking(locationId)
+        setError('')
+        try {
+            const { latitude, longitude, accuracy } = await currentPosition()
+            const res = await fetch(`${API_URL}/locations/${locationId}/check-in`, {
+                method: 'POST',
+                headers: teamHeaders(team),
+                body: JSON.stringify({ latitude, longitude, accuracy })
+            })
+            const data = await res.json()
+            if (res.ok) {
+                setDone(prev => [...prev, label])
+                setTeam(data.team)
+            } else {
+                setError(data.error || 'Check-in failed')
+            }
+        } catch (err) {
+            setError(err.message === 'Failed to fetch' ? 'Failed to connect to server' : err.message)
+        }
+        setChecking(null)
+    }
+
+    return (
+        <div className="card" style={{ marginBottom: '30px' }}>
+            <h3 style={{ marginBottom: '15px' }}>
+                <MapPin size={20} style={{ marginRight: '10px' }} />
+                Location Check-In
+            </h3>
+            {pending.length > 0 && (
+                <p style={{ color: '#b3b3b3', fontSize: '0.9rem', marginBottom: '15px' }}>
+                    Once you're standing at the spot, check in so we know you made it. Your phone will ask to share its location.
+                </p>
+            )}
+            {done.map(label => (
+                <p key={label} style={{ color: '#22c55e', margin: '0 0 10px' }}>
+                    <Check size={16} style={{ marginRight: '8px' }} />
+                    Checked in: {label}
+                </p>
+            ))}
+            {pending.map(location => (
+                <button
+                    key={location.id}
+                    onClick={() => checkIn(location)}
+                    disabled={checking !== null}
+                    className="btn btn-primary"
+                    style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '10px' }}
+                >
+                    <MapPin size={18} />
+                    {checking === location.id ? 'Checking your location...' : `Check In: ${location.label}`}
+                </button>
+            ))}
+            {error && <p className="form-error">{error}</p>}
+        </div>
+    )
+}
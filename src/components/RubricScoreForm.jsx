@@ -0,0 +1,49 @@
+import { useState } from 'react'
+import { Check } from 'lucide-react'
+
+// One number input per rubric criterion plus the running total. onSave(scores)
+// resolves to an error message, or null once saved. Used by the judging panel
+// and by the admin dashboard, where the admin scores as one more judge.
+export default function RubricScoreForm({ rubric, saved, onSave }) {
+    const [scores, setScores] = useState(() => Object.fromEntries(
+        Object.keys(rubric.criteria).map(criterion => [criterion, saved?.[criterion] ?? 0])
+    ))
+    const [saving, setSaving] = useState(false)
+    const [error, setError] = useState('')
+
+    const maxTotal = Object.values(rubric.criteria).reduce((sum, max) => sum + max, 0)
+    const total = Object.values(scores).reduce((sum, value) => sum + value, 0)
+
+    const save = async () => {
+        setSaving(true)
+        setError(await onSave(scores) || '')
+        setSaving(false)
+    }
+
+    return (
+        <>
+            {Object.entries(rubric.criteria).map(([criterion, max]) => (
+                <label key={criterion} style={{ display: 'flex', alignItems: 'center', justifyContent: 'space-between', gap: '10px', marginBottom: '6px' }}>
+                    <span>{criterion} (0-{max})</span>
+                    <input
+                        type="number"
+                        min={0}
+                        max={max}
+                        value={scores[criterion]}
+                        onChange={(e) => setScores(prev => ({ ...prev, [criterion]: Math.min(max, Math.max(0, parseInt(e.target.value) || 0)) }))}
+                        className="form-input"
+                        style={{ width: '80px', padding: '4px 8px' }}
+                    />
+                </label>
+            ))}
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginTop: '12px' }}>
+                <span style={{ fontFamily: 'Orbitron', color: '#FFD700' }}>{total}/{maxTotal}</span>
+                <button onClick={save} disabled={saving} className="btn btn-primary btn-small">
+                    {saved && <Check size={16} />}
+                    {saving ? 'Saving...' : saved ? 'Update Score' : 'Save Score'}
+                </button>
+            </div>
+            {error && <p className="form-error">{error}</p>}
+        </>
+    )
+}
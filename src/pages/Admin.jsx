@@ -1,43 +1,251 @@
-import { useState, useEffect } from 'react'
-import { Shield, Users, BarChart3, Download, Eye, RefreshCw, ChevronDown, ChevronUp } from 'lucide-react'
-import { API_URL } from '../App'
+import { useState, useEffect, useRef, useCallback } from 'react'
+import { Shield, Users, BarChart3, Download, Eye, RefreshCw, ChevronDown, ChevronUp, LogOut, Radio, Camera, Check, X, Gavel, QrCode, Printer } from 'lucide-react'
+import { API_URL } from '../api'
+import RubricScoreForm from '../components/RubricScoreForm'
+
+const ADMIN_TOKEN_KEY = 'codehunt_admin_token'
+const ACTIVITY_TYPES = ['team.registered', 'phase.attempted', 'phase.completed', 'team.deleted', 'photo.submitted', 'entry.judged']
+const ACTIVITY_LIMIT = 20
+const STREAM_RETRY_MS = 3000
 
 export default function Admin() {
-    const [authenticated, setAuthenticated] = useState(false)
+    const [token, setToken] = useState(() => sessionStorage.getItem(ADMIN_TOKEN_KEY))
     const [password, setPassword] = useState('')
+    const [loginError, setLoginError] = useState('')
     const [teams, setTeams] = useState([])
     const [stats, setStats] = useState(null)
-    const [loading, setLoading] = useState(false)
+    const [photos, setPhotos] = useState([])
+    const [judgingResults, setJudgingResults] = useState(null)
+    const [showJudging, setShowJudging] = useState(false)
+    const [checkpoints, setCheckpoints] = useState(null)
+    const [loading, setLoading] = useState(() => !!sessionStorage.getItem(ADMIN_TOKEN_KEY))
     const [expandedTeam, setExpandedTeam] = useState(null)
     const [filter, setFilter] = useState('all')
+    const [activity, setActivity] = useState([])
+    const [live, setLive] = useState(false)
+    const reloadTimer = useRef(null)
 
-    const ADMIN_PASSWORD = 'nextgenai2026' // Simple password protection
+    const authenticated = !!token
 
-    const handleLogin = (e) => {
-        e.preventDefault()
-        if (password === ADMIN_PASSWORD) {
-            setAuthenticated(true)
-            fetchData()
-        } else {
-            alert('Incorrect password')
+    const logout = useCallback(() => {
+        sessionStorage.removeItem(ADMIN_TOKEN_KEY)
+        setToken(null)
+        setTeams([])
+        setStats(null)
+        setPhotos([])
+        setJudgingResults(null)
+        setCheckpoints(null)
+        setActivity([])
+        setLoading(false)
+    }, [])
+
+    // Attach the admin token; an expired or rejected token logs the admin out
+    const authFetch = useCallback(async (url, options = {}) => {
+        const res = await fetch(url, {
+            ...options,
+            headers: { ...options.headers, Authorization: `Bearer ${token}` }
+        })
+        if (res.status === 401 || res.status === 403) {
+            logout()
+            throw new Error('Admin session expired')
         }
-    }
+        return res
+    }, [token, logout])
 
-    const fetchData = async () => {
-        setLoading(true)
+    const loadData = useCallback(async () => {
         try {
-            const [teamsRes, statsRes] = await Promise.all([
-                fetch(`${API_URL}/admin/teams`),
-                fetch(`${API_URL}/admin/stats`)
+            const [teamsRes, statsRes, photosRes, judgingRes] = await Promise.all([
+                authFetch(`${API_URL}/admin/teams`),
+                authFetch(`${API_URL}/admin/stats`),
+                authFetch(`${API_URL}/admin/photos`),
+                authFetch(`${API_URL}/admin/judging`)
             ])
             const teamsData = await teamsRes.json()
             const statsData = await statsRes.json()
+            const photosData = await photosRes.json()
+            const judgingData = await judgingRes.json()
             setTeams(teamsData)
             setStats(statsData)
+            setPhotos(photosData)
+            setJudgingResults(judgingData)
         } catch (err) {
-            console.error('Failed to fetch data')
+            console.error('Failed to fetch data:', err.message)
         }
         setLoading(false)
+    }, [authFetch])
+
+    // QR codes for the given site address; returns an error message, or null once loaded
+    const loadCheckpoints = async (baseUrl) => {
+        try {
+            const res = await authFetch(`${API_URL}/admin/checkpoints?baseUrl=${encodeURIComponent(baseUrl)}`)
+            const data = await res.json()
+            if (!res.ok) return data.error || 'Failed to load QR codes'
+            setCheckpoints(data)
+            return null
+        } catch (err) {
+            return err.message
+        }
+    }
+
+    // Codes default to the address this dashboard is served from
+    const toggleCheckpoints = () => {
+        if (checkpoints) setCheckpoints(null)
+        else loadCheckpoints(window.location.origin)
+    }
+
+    // The sheet needs the admin token, so it is fetched here and opened from a blob.
+    // The window opens first - popup blockers only allow it straight from the click.
+    const openQrSheet = async (baseUrl) => {
+        const sheet = window.open('', '_blank')
+        try {
+            const res = await authFetch(`${API_URL}/admin/qr-sheet?baseUrl=${encodeURIComponent(baseUrl)}`)
+            if (!res.ok) throw new Error((await res.json()).error)
+            const html = await res.text()
+            sheet.location = URL.createObjectURL(new Blob([html], { type: 'text/html' }))
+        } catch (err) {
+            sheet?.close()
+            console.error('Failed to open QR sheet:', err.message)
+        }
+    }
+
+    const fetchData = () => {
+        setLoading(true)
+        loadData()
+    }
+
+    // Load the dashboard once logged in, or for a session restored from sessionStorage
+    useEffect(() => {
+        if (!token) return
+        // Awaited from a callback: state only changes once the requests resolve, not during the effect
+        const load = async () => { await loadData() }
+        load()
+    }, [token, loadData])
+
+    // Live activity feed - every event refreshes the table (bursts coalesce into one reload).
+    // The stream authenticates with a single-use ticket, so EventSource's own retry can't
+    // resume it: on an error we reconnect with a fresh ticket. Fetching the ticket checks the
+    // session too - authFetch logs out on a 401/403, and only then does the feed stop.
+    useEffect(() => {
+        if (!token) return
+
+        let source = null
+        let retryTimer = null
+        let lastEventId = null
+        let stopped = false
+
+        const onActivity = (e) => {
+            lastEventId = e.lastEventId || lastEventId
+            const event = JSON.parse(e.data)
+            setActivity(prev => [event, ...prev].slice(0, ACTIVITY_LIMIT))
+            clearTimeout(reloadTimer.current)
+            reloadTimer.current = setTimeout(() => loadData(), 1000)
+        }
+
+        const connect = async () => {
+            let ticket
+            try {
+                const res = await authFetch(`${API_URL}/admin/stream-ticket`, { method: 'POST' })
+                if (!res.ok) throw new Error('Could not open the activity feed')
+                ticket = (await res.json()).ticket
+            } catch (err) {
+                console.error('Activity feed:', err.message)
+                if (!stopped) retryTimer = setTimeout(connect, STREAM_RETRY_MS)
+                return
+            }
+            if (stopped) return
+
+            const resume = lastEventId ? `&lastEventId=${encodeURIComponent(lastEventId)}` : ''
+            source = new EventSource(`${API_URL}/events?ticket=${encodeURIComponent(ticket)}${resume}`)
+            ACTIVITY_TYPES.forEach(type => source.addEventListener(type, onActivity))
+            source.onopen = () => setLive(true)
+            source.onerror = () => {
+                setLive(false)
+                source.close()
+                if (!stopped) retryTimer = setTimeout(connect, STREAM_RETRY_MS)
+            }
+        }
+        connect()
+
+        return () => {
+            stopped = true
+            source?.close()
+            clearTimeout(retryTimer)
+            clearTimeout(reloadTimer.current)
+        }
+    }, [token, authFetch, loadData])
+
+    const handleLogin = async (e) => {
+        e.preventDefault()
+        setLoginError('')
+
+        try {
+            const res = await fetch(`${API_URL}/admin/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ password })
+            })
+            const data = await res.json()
+
+            if (!res.ok) {
+                setLoginError(data.error || 'Login failed')
+                return
+            }
+
+            sessionStorage.setItem(ADMIN_TOKEN_KEY, data.token)
+            setLoading(true)
+            setToken(data.token)
+            setPassword('')
+        } catch {
+            setLoginError('Failed to connect to server')
+        }
+    }
+
+    // Check a team in at a treasure location by hand (GPS often fails indoors)
+    const overrideCheckIn = async (teamId, locationId) => {
+        try {
+            const res = await authFetch(`${API_URL}/admin/teams/${teamId}/check-ins/${locationId}`, { method: 'POST' })
+            if (!res.ok) {
+                const data = await res.json()
+                console.error('Check-in override failed:', data.error)
+            }
+        } catch (err) {
+            console.error('Check-in override failed:', err.message)
+        }
+        loadData()
+    }
+
+    // Score a judged entry as the admin; returns an error message, or null once saved
+    const scoreEntry = async (entryId, criteria) => {
+        try {
+            const res = await authFetch(`${API_URL}/admin/judging/${entryId}/score`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ criteria })
+            })
+            const result = await res.json()
+            if (!res.ok) return result.error || 'Failed to save scores'
+            loadData()
+            return null
+        } catch (err) {
+            return err.message
+        }
+    }
+
+    const reviewPhoto = async (teamId, approve, note) => {
+        try {
+            const res = await authFetch(`${API_URL}/admin/photos/${teamId}/review`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ approve, note })
+            })
+            if (!res.ok) {
+                const data = await res.json()
+                console.error('Photo review failed:', data.error)
+            }
+        } catch (err) {
+            console.error('Photo review failed:', err.message)
+        }
+        loadData()
     }
 
     const exportCSV = () => {
@@ -50,10 +258,10 @@ export default function Admin() {
             t.theme || '-',
             t.currentPhase,
             t.phase1?.completed ? 'Yes' : 'No',
-            t.phase2?.completed ? `Yes (${t.phase2.lastScore || t.phase2.scores?.slice(-1)[0] || 0}/10)` : 'No',
-            t.phase3?.completed ? `Yes (${t.phase3.score}/5)` : 'No',
+            t.phase2?.completed ? `Yes (${formatScore(t.phase2)})` : 'No',
+            t.phase3?.completed ? `Yes (${formatScore(t.phase3)})` : 'No',
             t.phase4?.completed ? 'Yes' : 'No',
-            t.phase5?.completed ? `Yes (${t.phase5.score}/5)` : 'No',
+            t.phase5?.completed ? `Yes (${formatScore(t.phase5)})` : 'No',
             t.phase6?.completed ? 'Yes' : 'No',
             t.totalTimeSeconds ? `${Math.floor(t.totalTimeSeconds / 60)}m ${t.totalTimeSeconds % 60}s` : '-'
         ])
@@ -89,6 +297,7 @@ export default function Admin() {
                                 value={password}
                                 onChange={(e) => setPassword(e.target.value)}
                             />
+                            {loginError && <p className="form-error">{loginError}</p>}
                         </div>
                         <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
                             Login
@@ -109,13 +318,19 @@ export default function Admin() {
                     </h1>
                     <p style={{ margin: 0 }}>Manage and monitor CodeHunt-2026 submissions</p>
                 </div>
-                <div style={{ display: 'flex', gap: '10px' }}>
-                    <button onClick={fetchData} className="btn btn-secondary btn-small">
+                <div style={{ display: 'flex', gap: '10px', alignItems: 'center' }}>
+                    <span style={{ color: live ? '#22c55e' : '#666', fontSize: '0.9rem', display: 'inline-flex', alignItems: 'center', gap: '6px' }}>
+                        <Radio size={14} /> {live ? 'Live' : 'Reconnecting...'}
+                    </span>
+                    <button onClick={() => fetchData()} className="btn btn-secondary btn-small">
                         <RefreshCw size={16} /> Refresh
                     </button>
                     <button onClick={exportCSV} className="btn btn-primary btn-small">
                         <Download size={16} /> Export CSV
                     </button>
+                    <button onClick={logout} className="btn btn-secondary btn-small">
+                        <LogOut size={16} /> Logout
+                    </button>
                 </div>
             </div>
 
@@ -132,6 +347,31 @@ export default function Admin() {
                 </div>
             )}
 
+            {/* Photo Review Queue */}
+            {photos.length > 0 && <PhotoQueue photos={photos} onReview={reviewPhoto} />}
+
+            {/* Judging Panel Results */}
+            {judgingResults?.entries.length > 0 && (
+                <div style={{ marginBottom: '30px' }}>
+                    <button onClick={() => setShowJudging(!showJudging)} className="btn btn-secondary btn-small">
+                        <Gavel size={16} /> {showJudging ? 'Hide' : 'Show'} Judging Results
+                        ({judgingResults.entries.filter(e => e.judging?.total == null).length} still need judges)
+                    </button>
+                    {showJudging && <JudgingResults results={judgingResults} onScore={scoreEntry} />}
+                </div>
+            )}
+
+            {/* QR Codes */}
+            <div style={{ marginBottom: '30px' }}>
+                <button onClick={toggleCheckpoints} className="btn btn-secondary btn-small">
+                    <QrCode size={16} /> {checkpoints ? 'Hide' : 'Show'} QR Codes
+                </button>
+                {checkpoints && <CheckpointCodes data={checkpoints} onReload={loadCheckpoints} onOpenSheet={openQrSheet} />}
+            </div>
+
+            {/* Activity Feed */}
+            {activity.length > 0 && <ActivityFeed events={activity} />}
+
             {/* Filter */}
             <div style={{ marginBottom: '20px', display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
                 <FilterBtn label="All" value="all" current={filter} onClick={setFilter} />
@@ -196,7 +436,7 @@ export default function Admin() {
                                     {expandedTeam === team.teamId && (
                                         <tr>
                                             <td colSpan={7} style={{ padding: '20px', background: '#1a1a1a' }}>
-                                                <TeamDetails team={team} />
+                                                <TeamDetails team={team} onOverrideCheckIn={overrideCheckIn} />
                                             </td>
                                         </tr>
                                     )}
@@ -229,6 +469,202 @@ function StatCard({ title, value, icon, color = '#FFD700' }) {
     )
 }
 
+function describeEvent({ type, data }) {
+    switch (type) {
+        case 'team.registered':
+            return `✅ ${data.teamName} registered (${data.theme})`
+        case 'phase.attempted':
+            if (data.passed) return null
+            return `❌ ${data.teamName} failed Phase ${data.phase}${data.total ? ` (${data.score}/${data.total})` : ''} - attempt ${data.attempts}`
+        case 'phase.completed':
+            return data.phase === 6
+                ? `🏆 ${data.teamName} finished the hunt!`
+                : `⚡ ${data.teamName} cleared Phase ${data.phase} (attempt ${data.attempts})`
+        case 'photo.submitted':
+            return `📸 ${data.teamName} uploaded their team photo - waiting for review`
+        case 'entry.judged':
+            return `🧑‍⚖️ ${data.judge} judged ${data.teamName}'s Phase ${data.phase} entry (${data.judgeCount} judge${data.judgeCount === 1 ? '' : 's'} so far)`
+        case 'team.deleted':
+            return data.all ? '🗑️ All teams cleared' : `🗑️ ${data.teamName || data.teamId} deleted`
+        default:
+            return null
+    }
+}
+
+function ActivityFeed({ events }) {
+    // A passing attempt is always followed by its phase.completed, so only failures are listed
+    const items = events
+        .map(event => ({ event, text: describeEvent(event) }))
+        .filter(item => item.text)
+
+    return (
+        <div style={{ background: '#1a1a1a', border: '1px solid #333', borderRadius: '12px', padding: '15px 20px', marginBottom: '30px', maxHeight: '200px', overflowY: 'auto' }}>
+            <h4 style={{ color: '#FFD700', marginBottom: '10px', fontFamily: 'Orbitron', fontSize: '0.85rem' }}>Live Activity</h4>
+            {items.map(({ event, text }) => (
+                <div key={event.id} style={{ display: 'flex', gap: '15px', padding: '4px 0', fontSize: '0.9rem' }}>
+                    <span style={{ color: '#666', fontFamily: 'monospace' }}>{new Date(event.at).toLocaleTimeString()}</span>
+                    <span style={{ color: '#fff' }}>{text}</span>
+                </div>
+            ))}
+        </div>
+    )
+}
+
+// Phase 6 photos waiting for a decision - approving one completes that team's hunt
+function PhotoQueue({ photos, onReview }) {
+    return (
+        <div style={{ background: '#1a1a1a', border: '1px solid #FFD700', borderRadius: '12px', padding: '15px 20px', marginBottom: '30px' }}>
+            <h4 style={{ color: '#FFD700', marginBottom: '15px', fontFamily: 'Orbitron', fontSize: '0.85rem' }}>
+                <Camera size={16} style={{ marginRight: '8px' }} />
+                Photos to Review ({photos.length})
+            </h4>
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(260px, 1fr))', gap: '15px' }}>
+                {photos.map(photo => <PhotoCard key={photo.teamId} photo={photo} onReview={onReview} />)}
+            </div>
+        </div>
+    )
+}
+
+function PhotoCard({ photo, onReview }) {
+    const [note, setNote] = useState('')
+    const [busy, setBusy] = useState(false)
+
+    const decide = async (approve) => {
+        setBusy(true)
+        await onReview(photo.teamId, approve, approve ? '' : note)
+        setBusy(false)
+    }
+
+    return (
+        <div style={{ background: '#111', border: '1px solid #333', borderRadius: '10px', padding: '12px' }}>
+            <a href={`${API_URL}${photo.photoUrl}`} target="_blank" rel="noopener noreferrer">
+                <img
+                    src={`${API_URL}${photo.photoUrl}`}
+                    alt={`${photo.teamName} team photo`}
+                    style={{ width: '100%', height: '180px', objectFit: 'cover', borderRadius: '8px' }}
+                />
+            </a>
+            <p style={{ margin: '10px 0 4px', color: '#fff' }}><strong>{photo.teamName}</strong></p>
+            <p style={{ margin: '0 0 4px', fontSize: '0.85rem' }}>Location: {photo.locationAnswer || '-'}</p>
+            <p style={{ margin: '0 0 10px', fontSize: '0.85rem', color: '#666' }}>
+                {new Date(photo.submittedAt).toLocaleTimeString()}{photo.attempts > 0 && ` · ${photo.attempts} rejected before`}
+            </p>
+            <input
+                type="text"
+                className="form-input"
+                placeholder="Reason if rejecting (shown to the team)"
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                style={{ marginBottom: '10px', padding: '8px 12px', fontSize: '0.85rem' }}
+            />
+            <div style={{ display: 'flex', gap: '10px' }}>
+                <button onClick={() => decide(true)} disabled={busy} className="btn btn-primary btn-small" style={{ flex: 1 }}>
+                    <Check size={16} /> Approve
+                </button>
+                <button onClick={() => decide(false)} disabled={busy} className="btn btn-secondary btn-small" style={{ flex: 1 }}>
+                    <X size={16} /> Reject
+                </button>
+            </div>
+        </div>
+    )
+}
+
+// What the judging panel gave each Phase 1 image / Phase 6 photo - admins see the team names judges don't
+function JudgingResults({ results, onScore }) {
+    const { config, judges, adminJudge, entries } = results
+
+    return (
+        <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(300px, 1fr))', gap: '15px', marginTop: '15px' }}>
+            {judges.length === 0 && (
+                <p style={{ color: '#f59e0b' }}>No judge accounts configured (JUDGE_ACCOUNTS) - score the entries here and your score counts on its own.</p>
+            )}
+            {entries.map(entry => {
+                const result = entry.judging
+                const rubric = config.phases[entry.phase]
+                const maxTotal = Object.values(rubric.criteria).reduce((sum, max) => sum + max, 0)
+                return (
+                    <div key={entry.entryId} style={{ background: '#1a1a1a', border: `1px solid ${result?.outliers?.length ? '#f59e0b' : '#333'}`, borderRadius: '10px', padding: '12px' }}>
+                        <a href={`${API_URL}${entry.imageUrl}`} target="_blank" rel="noopener noreferrer">
+                            <img
+                                src={`${API_URL}${entry.imageUrl}`}
+                                alt={`${entry.teamName} ${rubric.title}`}
+                                style={{ width: '100%', height: '180px', objectFit: 'cover', borderRadius: '8px' }}
+                            />
+                        </a>
+                        <p style={{ margin: '10px 0 4px', color: '#fff' }}>
+                            <strong>{entry.teamName}</strong> <span style={{ color: '#666' }}>· {rubric.title} · #{entry.entryId}</span>
+                        </p>
+                        {entry.caption && <p style={{ margin: '0 0 8px', fontSize: '0.85rem', fontStyle: 'italic' }}>"{entry.caption}"</p>}
+                        {result ? (
+                            <>
+                                <p style={{ margin: '0 0 6px', fontFamily: 'Orbitron', color: '#FFD700' }}>
+                                    {result.total ?? '-'}/{maxTotal}
+                                    <span style={{ color: '#b3b3b3', fontSize: '0.8rem', marginLeft: '10px' }}>
+                                        mean {result.mean} · median {result.median} · {result.judgeCount}/{config.minJudges} judges
+                                    </span>
+                                </p>
+                                {Object.entries(result.scores).map(([judge, score]) => (
+                                    <p key={judge} style={{ margin: '0', fontSize: '0.85rem', color: result.outliers.includes(judge) ? '#f59e0b' : '#b3b3b3' }}>
+                                        {judge}: {score.total}{result.outliers.includes(judge) && ' ⚠️ outlier'}
+                                    </p>
+                                ))}
+                            </>
+                        ) : <p style={{ color: '#666', margin: 0 }}>Not judged yet</p>}
+                        <p style={{ margin: '12px 0 6px', color: '#b3b3b3', fontSize: '0.85rem' }}>Your score (as {adminJudge})</p>
+                        <RubricScoreForm
+                            rubric={rubric}
+                            saved={result?.scores?.[adminJudge]?.criteria}
+                            onSave={(scores) => onScore(entry.entryId, scores)}
+                        />
+                    </div>
+                )
+            })}
+        </div>
+    )
+}
+
+function CheckpointCodes({ data, onReload, onOpenSheet }) {
+    const [baseUrl, setBaseUrl] = useState(data.baseUrl)
+    const [error, setError] = useState('')
+
+    const reload = async () => setError(await onReload(baseUrl) || '')
+
+    return (
+        <div style={{ marginTop: '15px' }}>
+            {!data.required && (
+                <p style={{ color: '#f59e0b' }}>CHECKPOINTS=off on the server - phases open without scanning.</p>
+            )}
+            <p style={{ marginBottom: '10px' }}>The codes open this site address - set it to the deployed URL before printing.</p>
+            <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', alignItems: 'center', marginBottom: '15px' }}>
+                <input
+                    type="url"
+                    className="form-input"
+                    value={baseUrl}
+                    onChange={(e) => setBaseUrl(e.target.value)}
+                    style={{ maxWidth: '360px' }}
+                />
+                <button onClick={reload} className="btn btn-secondary btn-small">
+                    <RefreshCw size={16} /> Update Codes
+                </button>
+                <button onClick={() => onOpenSheet(data.baseUrl)} className="btn btn-primary btn-small">
+                    <Printer size={16} /> Open Print Sheet
+                </button>
+            </div>
+            {error && <p className="form-error">{error}</p>}
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(220px, 1fr))', gap: '15px' }}>
+                {data.checkpoints.map(code => (
+                    <div key={code.id} style={{ background: '#fff', color: '#000', borderRadius: '10px', padding: '15px', textAlign: 'center' }}>
+                        <div dangerouslySetInnerHTML={{ __html: code.svg }} />
+                        <p style={{ margin: '10px 0 4px', color: '#000', fontWeight: 'bold' }}>{code.label}</p>
+                        <p style={{ margin: '0 0 4px', color: '#333', fontSize: '0.85rem' }}>📍 {code.location || 'No location set'}</p>
+                        <p style={{ margin: 0, color: '#555', fontSize: '0.7rem', wordBreak: 'break-all' }}>{code.url}</p>
+                    </div>
+                ))}
+            </div>
+        </div>
+    )
+}
+
 function FilterBtn({ label, value, current, onClick }) {
     return (
         <button
@@ -264,7 +700,13 @@ function PhaseStatus({ phases }) {
     return <div>{dots}</div>
 }
 
-function TeamDetails({ team }) {
+// Latest graded score, e.g. "8/10" (older records may lack the total)
+function formatScore(phase) {
+    const score = phase?.score ?? phase?.scores?.slice(-1)[0] ?? 0
+    return phase?.total ? `${score}/${phase.total}` : `${score}`
+}
+
+function TeamDetails({ team, onOverrideCheckIn }) {
     return (
         <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fit, minmax(250px, 1fr))', gap: '20px' }}>
             <div>
@@ -272,6 +714,28 @@ function TeamDetails({ team }) {
                 <p><strong>Members:</strong> {team.teamMembers?.join(', ')}</p>
                 <p><strong>Theme:</strong> {team.theme || '-'}</p>
                 <p><strong>Registered:</strong> {new Date(team.createdAt).toLocaleString()}</p>
+                {team.checkpoints && (
+                    <p><strong>Checkpoints:</strong> {Object.entries(team.checkpoints)
+                        .map(([id, scan]) => `${id.replace('phase', 'P')} ${new Date(scan.scannedAt).toLocaleTimeString()}`)
+                        .join(', ')}</p>
+                )}
+                {Object.entries(team.locationCheckins || {}).map(([id, checkin]) => (
+                    <p key={id}>
+                        <strong>Check-in {id}:</strong>{' '}
+                        {checkin.verified ? '✓' : '✗'} {new Date(checkin.at).toLocaleTimeString()}
+                        {checkin.override ? ' (by organizer)' : ` · ${checkin.distanceMeters} m away, ±${Math.round(checkin.accuracy)} m`}
+                    </p>
+                ))}
+                {team.pendingCheckIns?.map(location => (
+                    <button
+                        key={location.id}
+                        onClick={() => onOverrideCheckIn(team.teamId, location.id)}
+                        className="btn btn-secondary btn-small"
+                        style={{ marginBottom: '8px' }}
+                    >
+                        Check In: {location.label}
+                    </button>
+                ))}
                 {team.totalTimeSeconds && (
                     <p><strong>Total Time:</strong> {Math.floor(team.totalTimeSeconds / 60)}m {team.totalTimeSeconds % 60}s</p>
                 )}
@@ -281,7 +745,8 @@ function TeamDetails({ team }) {
                 <h4 style={{ color: '#FFD700', marginBottom: '10px' }}>Phase 1</h4>
                 {team.phase1?.completed ? (
                     <>
-                        <p><strong>Drive Link:</strong> <a href={team.phase1.driveLink} target="_blank" style={{ color: '#3b82f6' }}>View</a></p>
+                        <p><strong>Image:</strong> {team.phase1.imageUrl ? <a href={`${API_URL}${team.phase1.imageUrl}`} target="_blank" style={{ color: '#3b82f6' }}>View</a> : 'N/A'}</p>
+                        <p><strong>Judged:</strong> {team.phase1.judging?.total != null ? `${team.phase1.judging.total} points` : `${team.phase1.judging?.judgeCount || 0} judges so far`}</p>
                         <p><strong>Prompt:</strong> {team.phase1.aiPrompt?.substring(0, 100)}...</p>
                     </>
                 ) : <p style={{ color: '#666' }}>Not completed</p>}
@@ -291,7 +756,7 @@ function TeamDetails({ team }) {
                 <h4 style={{ color: '#FFD700', marginBottom: '10px' }}>Phase 2 (Quiz)</h4>
                 {team.phase2?.completed ? (
                     <>
-                        <p><strong>Score:</strong> {team.phase2.lastScore || team.phase2.scores?.slice(-1)[0] || 0}/10</p>
+                        <p><strong>Score:</strong> {formatScore(team.phase2)}</p>
                         <p><strong>Attempts:</strong> {team.phase2.attempts}</p>
                     </>
                 ) : <p style={{ color: '#666' }}>Not completed</p>}
@@ -300,7 +765,10 @@ function TeamDetails({ team }) {
             <div>
                 <h4 style={{ color: '#FFD700', marginBottom: '10px' }}>Phase 3 (Code)</h4>
                 {team.phase3?.completed ? (
-                    <p><strong>Score:</strong> {team.phase3.score}/5</p>
+                    <>
+                        <p><strong>Score:</strong> {formatScore(team.phase3)}</p>
+                        <p><strong>Attempts:</strong> {team.phase3.attempts}</p>
+                    </>
                 ) : <p style={{ color: '#666' }}>Not completed</p>}
             </div>
 
@@ -310,6 +778,7 @@ function TeamDetails({ team }) {
                     <>
                         <p><strong>Room Found:</strong> {team.phase4.roomNumber}</p>
                         <p><strong>Attempts:</strong> {team.phase4.attempts}</p>
+                        <p><strong>Hints Used:</strong> {team.phase4.hintsUsed || 0}</p>
                     </>
                 ) : <p style={{ color: '#666' }}>Not completed</p>}
             </div>
@@ -317,7 +786,10 @@ function TeamDetails({ team }) {
             <div>
                 <h4 style={{ color: '#FFD700', marginBottom: '10px' }}>Phase 5 (Riddles)</h4>
                 {team.phase5?.completed ? (
-                    <p><strong>Score:</strong> {team.phase5.score}/5</p>
+                    <>
+                        <p><strong>Score:</strong> {formatScore(team.phase5)}</p>
+                        <p><strong>Attempts:</strong> {team.phase5.attempts}</p>
+                    </>
                 ) : <p style={{ color: '#666' }}>Not completed</p>}
             </div>
 
@@ -326,7 +798,12 @@ function TeamDetails({ team }) {
                 {team.phase6?.completed ? (
                     <>
                         <p><strong>Location:</strong> {team.phase6.locationAnswer}</p>
-                        <p><strong>Photo:</strong> {team.phase6.photoPath ? 'Uploaded' : 'N/A'}</p>
+                        <p><strong>Photo:</strong> {team.phase6.photoUrl ? <a href={`${API_URL}${team.phase6.photoUrl}`} target="_blank" style={{ color: '#3b82f6' }}>View</a> : 'N/A'}</p>
+                    </>
+                ) : team.phase6?.review ? (
+                    <>
+                        <p><strong>Photo:</strong> <a href={`${API_URL}${team.phase6.review.photoUrl}`} target="_blank" style={{ color: '#3b82f6' }}>View</a> ({team.phase6.review.status})</p>
+                        {team.phase6.review.note && <p><strong>Note:</strong> {team.phase6.review.note}</p>}
                     </>
                 ) : <p style={{ color: '#666' }}>Not completed</p>}
             </div>
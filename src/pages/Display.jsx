@@ -0,0 +1,241 @@
+import { useState, useEffect } from 'react'
+import { Trophy, Clock, Maximize, Sparkles } from 'lucide-react'
+import { API_URL } from '../api'
+
+const SLIDE_SECONDS = 15
+const TEAMS_PER_SLIDE = 8
+const PHASE_LABELS = ['AI Gen', 'Quiz', 'Code', 'Debug', 'Logic', 'Hunt']
+
+// Big-screen view for the event hall - no login, cycles through standings and the phase funnel
+export default function Display() {
+    const [standings, setStandings] = useState([])
+    const [summary, setSummary] = useState(null)
+    const [clockOffset, setClockOffset] = useState(0)
+    const [now, setNow] = useState(() => Date.now())
+    const [slide, setSlide] = useState(0)
+    const [fullscreen, setFullscreen] = useState(Boolean(document.fullscreenElement))
+
+    const fetchSummary = async () => {
+        try {
+            const res = await fetch(`${API_URL}/display`)
+            const data = await res.json()
+            if (res.ok) {
+                setSummary(data)
+                setClockOffset(data.serverTime - Date.now())
+            }
+        } catch {
+            console.error('Failed to load display data')
+        }
+    }
+
+    // Every leaderboard push means some team progressed, so refresh the funnel and ticker with it
+    useEffect(() => {
+        const source = new EventSource(`${API_URL}/events`)
+        source.addEventListener('leaderboard', (e) => {
+            setStandings(JSON.parse(e.data))
+            fetchSummary()
+        })
+        return () => source.close()
+    }, [])
+
+    useEffect(() => {
+        const clock = setInterval(() => setNow(Date.now()), 1000)
+        const cycle = setInterval(() => setSlide(prev => prev + 1), SLIDE_SECONDS * 1000)
+        return () => {
+            clearInterval(clock)
+            clearInterval(cycle)
+        }
+    }, [])
+
+    useEffect(() => {
+        const onChange = () => setFullscreen(Boolean(document.fullscreenElement))
+        document.addEventListener('fullscreenchange', onChange)
+        return () => document.removeEventListener('fullscreenchange', onChange)
+    }, [])
+
+    const standingSlides = Math.max(1, Math.ceil(standings.length / TEAMS_PER_SLIDE))
+    const current = slide % (standingSlides + 1)
+    const showFunnel = current === standingSlides
+
+    return (
+        <div style={{ minHeight: '100vh', display: 'flex', flexDirection: 'column', padding: '30px 50px 0', cursor: fullscreen ? 'none' : 'default' }}>
+            {/* Header */}
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
+                <div style={{ display: 'flex', alignItems: 'center', gap: '20px' }}>
+                    <Sparkles size={48} style={{ color: '#FFD700' }} />
+                    <div>
+                        <h1 style={{ fontSize: 'clamp(2rem, 4vw, 3.5rem)', margin: 0 }}>CodeHunt-2026</h1>
+                        <p style={{ color: '#b3b3b3', margin: 0, fontSize: '1.2rem' }}>
+                            {summary ? `${summary.totalTeams} teams hunting` : 'Connecting...'}
+                        </p>
+                    </div>
+                </div>
+                <Countdown schedule={summary?.schedule} now={now + clockOffset} />
+                {!fullscreen && (
+                    <button
+                        onClick={() => document.documentElement.requestFullscreen?.()}
+                        className="btn btn-secondary btn-small"
+                        style={{ position: 'absolute', top: '10px', right: '10px' }}
+                    >
+                        <Maximize size={16} /> Full Screen
+                    </button>
+                )}
+            </div>
+
+            {/* Slide */}
+            <div style={{ flex: 1 }}>
+                {showFunnel ? (
+                    <Funnel summary={summary} />
+                ) : (
+                    <Standings teams={standings.slice(current * TEAMS_PER_SLIDE, (current + 1) * TEAMS_PER_SLIDE)} />
+                )}
+            </div>
+
+            {/* Slide dots */}
+            <div style={{ display: 'flex', justifyContent: 'center', gap: '10px', margin: '20px 0' }}>
+                {Array.from({ length: standingSlides + 1 }, (_, i) => (
+                    <div key={i} style={{ width: '10px', height: '10px', borderRadius: '50%', background: i === current ? '#FFD700' : '#333' }} />
+                ))}
+            </div>
+
+            <AchievementTicker achievements={summary?.recentAchievements || []} />
+        </div>
+    )
+}
+
+function Countdown({ schedule, now }) {
+    if (!schedule || (!schedule.startsAt && !schedule.endsAt)) return null
+
+    let label
+    let target = null
+    if (schedule.startsAt && now < schedule.startsAt) {
+        label = 'Starts in'
+        target = schedule.startsAt
+    } else if (schedule.endsAt && now < schedule.endsAt) {
+        label = 'Ends in'
+        target = schedule.endsAt
+    } else if (schedule.endsAt) {
+        label = "Time's up!"
+    } else {
+        return null
+    }
+
+    const seconds = target ? Math.max(0, Math.floor((target - now) / 1000)) : 0
+    const h = Math.floor(seconds / 3600)
+    const m = Math.floor((seconds % 3600) / 60)
+    const s = seconds % 60
+    const pad = (n) => n.toString().padStart(2, '0')
+
+    return (
+        <div style={{ textAlign: 'right' }}>
+            <p style={{ color: '#b3b3b3', margin: 0, fontSize: '1.2rem', fontFamily: 'Orbitron' }}>{label}</p>
+            {target && (
+                <div className={`timer ${seconds < 600 ? 'warning' : ''}`} style={{ fontSize: 'clamp(2rem, 4vw, 3.5rem)' }}>
+                    <Clock size={36} style={{ marginRight: '15px' }} />
+                    {pad(h)}:{pad(m)}:{pad(s)}
+                </div>
+            )}
+        </div>
+    )
+}
+
+function Standings({ teams }) {
+    if (teams.length === 0) {
+        return (
+            <div style={{ textAlign: 'center', padding: '80px 0' }}>
+                <Trophy size={100} style={{ color: '#333', marginBottom: '30px' }} />
+                <h2 style={{ color: '#666', fontSize: '2.5rem' }}>Waiting for the first teams...</h2>
+            </div>
+        )
+    }
+
+    return (
+        <div className="leaderboard" style={{ maxWidth: 'none' }}>
+            {teams.map(team => (
+                <div
+                    key={team.teamName}
+                    className={`leaderboard-item ${team.rank === 1 ? 'top-1' : team.rank === 2 ? 'top-2' : team.rank === 3 ? 'top-3' : ''}`}
+                    style={{ padding: '18px 30px', marginBottom: '12px' }}
+                >
+                    <div className="leaderboard-rank" style={{ width: '60px', height: '60px', fontSize: '1.5rem' }}>
+                        {team.rank}
+                    </div>
+                    <div className="leaderboard-info">
+                        <div className="leaderboard-team" style={{ fontSize: '1.6rem' }}>{team.teamName}</div>
+                        <div style={{ display: 'flex', gap: '6px', marginTop: '10px', maxWidth: '500px' }}>
+                            {PHASE_LABELS.map((label, i) => (
+                                <div
+                                    key={label}
+                                    style={{
+                                        flex: 1,
+                                        height: '10px',
+                                        borderRadius: '5px',
+                                        background: i < team.phasesCompleted ? '#22c55e' : i + 1 === team.phaseReached && !team.finished ? '#FFD700' : '#333',
+                                        transition: 'background 0.5s ease'
+                                    }}
+                                />
+                            ))}
+                        </div>
+                    </div>
+                    <div style={{ textAlign: 'right' }}>
+                        <div className="leaderboard-time" style={{ fontSize: '2rem' }}>{team.points}</div>
+                        <div style={{ color: '#b3b3b3', fontSize: '1rem' }}>
+                            {team.finished ? '🏁 Finished' : `Phase ${team.phaseReached}`}
+                        </div>
+                    </div>
+                </div>
+            ))}
+        </div>
+    )
+}
+
+function Funnel({ summary }) {
+    const total = summary?.totalTeams || 0
+
+    return (
+        <div style={{ maxWidth: '1200px', margin: '0 auto' }}>
+            <h2 style={{ textAlign: 'center', fontSize: '2.5rem', marginBottom: '40px' }}>Phase Completion</h2>
+            {PHASE_LABELS.map((label, i) => {
+                const count = summary?.phaseStats?.[`phase${i + 1}`] || 0
+                const percent = total ? (count / total) * 100 : 0
+                return (
+                    <div key={label} style={{ display: 'flex', alignItems: 'center', gap: '25px', marginBottom: '22px' }}>
+                        <div style={{ width: '220px', fontFamily: 'Orbitron', fontSize: '1.4rem', color: '#FFD700' }}>
+                            Phase {i + 1} · {label}
+                        </div>
+                        <div style={{ flex: 1, height: '44px', background: '#1a1a1a', borderRadius: '10px', overflow: 'hidden' }}>
+                            <div style={{
+                                width: `${percent}%`,
+                                height: '100%',
+                                background: 'linear-gradient(90deg, #FFD700, #22c55e)',
+                                transition: 'width 1s ease'
+                            }} />
+                        </div>
+                        <div style={{ width: '120px', textAlign: 'right', fontFamily: 'Orbitron', fontSize: '1.6rem', color: '#fff' }}>
+                            {count}/{total}
+                        </div>
+                    </div>
+                )
+            })}
+        </div>
+    )
+}
+
+function AchievementTicker({ achievements }) {
+    if (achievements.length === 0) return null
+
+    const items = achievements.map(a => a.phase === 6
+        ? `🏁 ${a.teamName} finished the hunt!`
+        : `⚡ ${a.teamName} cleared Phase ${a.phase}`)
+
+    // The list is rendered twice so the scroll loops without a gap
+    return (
+        <div className="display-ticker">
+            <div className="display-ticker-track" style={{ animationDuration: `${Math.max(20, items.length * 6)}s` }}>
+                {[...items, ...items].map((text, i) => (
+                    <span key={i} style={{ marginRight: '80px' }}>{text}</span>
+                ))}
+            </div>
+        </div>
+    )
+}
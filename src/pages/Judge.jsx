@@ -0,0 +1,207 @@
+import { useState, useEffect, useCallback } from 'react'
+import { Gavel, LogOut, RefreshCw } from 'lucide-react'
+import { API_URL } from '../api'
+import RubricScoreForm from '../components/RubricScoreForm'
+
+const JUDGE_TOKEN_KEY = 'codehunt_judge_token'
+
+// Judging panel - submissions are shown by entry number only, never by team
+export default function Judge() {
+    const [token, setToken] = useState(() => sessionStorage.getItem(JUDGE_TOKEN_KEY))
+    const [name, setName] = useState('')
+    const [password, setPassword] = useState('')
+    const [loginError, setLoginError] = useState('')
+    const [data, setData] = useState(null)
+    const [phase, setPhase] = useState(null)
+    const [showScored, setShowScored] = useState(false)
+
+    const logout = useCallback(() => {
+        sessionStorage.removeItem(JUDGE_TOKEN_KEY)
+        setToken(null)
+        setData(null)
+    }, [])
+
+    // Attach the judge token; an expired or rejected token logs the judge out
+    const authFetch = useCallback(async (url, options = {}) => {
+        const res = await fetch(url, {
+            ...options,
+            headers: { ...options.headers, Authorization: `Bearer ${token}` }
+        })
+        if (res.status === 401 || res.status === 403) {
+            logout()
+            throw new Error('Judge session expired')
+        }
+        return res
+    }, [token, logout])
+
+    const loadEntries = useCallback(async () => {
+        try {
+            const res = await authFetch(`${API_URL}/judge/entries`)
+            const entries = await res.json()
+            setData(entries)
+            setPhase(prev => prev || Object.keys(entries.phases)[0])
+        } catch (err) {
+            console.error('Failed to load entries:', err.message)
+        }
+    }, [authFetch])
+
+    // Load entries once logged in, or for a session restored from sessionStorage
+    useEffect(() => {
+        if (!token) return
+        // Awaited from a callback: state only changes once the fetch resolves, not during the effect
+        const load = async () => { await loadEntries() }
+        load()
+    }, [token, loadEntries])
+
+    const handleLogin = async (e) => {
+        e.preventDefault()
+        setLoginError('')
+
+        try {
+            const res = await fetch(`${API_URL}/judge/login`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ name, password })
+            })
+            const result = await res.json()
+
+            if (!res.ok) {
+                setLoginError(result.error || 'Login failed')
+                return
+            }
+
+            sessionStorage.setItem(JUDGE_TOKEN_KEY, result.token)
+            setToken(result.token)
+            setPassword('')
+        } catch {
+            setLoginError('Failed to connect to server')
+        }
+    }
+
+    // Returns an error message, or null once saved
+    const saveScores = async (entryId, criteria) => {
+        try {
+            const res = await authFetch(`${API_URL}/judge/entries/${entryId}/score`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ criteria })
+            })
+            const result = await res.json()
+            if (!res.ok) return result.error || 'Failed to save scores'
+            setData(prev => ({
+                ...prev,
+                entries: prev.entries.map(entry => entry.entryId === entryId ? { ...entry, myScores: result.myScores } : entry)
+            }))
+            return null
+        } catch (err) {
+            return err.message
+        }
+    }
+
+    if (!token) {
+        return (
+            <div className="container" style={{ maxWidth: '400px', margin: '0 auto', paddingTop: '100px' }}>
+                <div className="card" style={{ textAlign: 'center' }}>
+                    <Gavel size={50} style={{ color: '#FFD700', marginBottom: '20px' }} />
+                    <h2 style={{ marginBottom: '30px' }}>Judging Panel</h2>
+                    <form onSubmit={handleLogin}>
+                        <div className="form-group">
+                            <input
+                                type="text"
+                                className="form-input"
+                                placeholder="Judge name"
+                                value={name}
+                                onChange={(e) => setName(e.target.value)}
+                                style={{ marginBottom: '10px' }}
+                            />
+                            <input
+                                type="password"
+                                className="form-input"
+                                placeholder="Password"
+                                value={password}
+                                onChange={(e) => setPassword(e.target.value)}
+                            />
+                            {loginError && <p className="form-error">{loginError}</p>}
+                        </div>
+                        <button type="submit" className="btn btn-primary" style={{ width: '100%' }}>
+                            Login
+                        </button>
+                    </form>
+                </div>
+            </div>
+        )
+    }
+
+    if (!data) {
+        return <div style={{ textAlign: 'center', padding: '60px 0' }}><div className="spinner" /></div>
+    }
+
+    const phaseEntries = data.entries.filter(entry => entry.phase === phase)
+    const remaining = phaseEntries.filter(entry => !entry.myScores).length
+    const visible = showScored ? phaseEntries : phaseEntries.filter(entry => !entry.myScores)
+
+    return (
+        <div className="container">
+            <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px', flexWrap: 'wrap', gap: '20px' }}>
+                <div>
+                    <h1 style={{ marginBottom: '10px' }}>
+                        <Gavel size={30} style={{ marginRight: '15px' }} />
+                        Judging Panel
+                    </h1>
+                    <p style={{ margin: 0 }}>Signed in as {data.judge} · entries are anonymous and in your own order</p>
+                </div>
+                <div style={{ display: 'flex', gap: '10px' }}>
+                    <button onClick={() => loadEntries()} className="btn btn-secondary btn-small">
+                        <RefreshCw size={16} /> Refresh
+                    </button>
+                    <button onClick={logout} className="btn btn-secondary btn-small">
+                        <LogOut size={16} /> Logout
+                    </button>
+                </div>
+            </div>
+
+            <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap', marginBottom: '20px', alignItems: 'center' }}>
+                {Object.entries(data.phases).map(([key, rubric]) => (
+                    <button
+                        key={key}
+                        onClick={() => setPhase(key)}
+                        className={`btn btn-small ${phase === key ? 'btn-primary' : 'btn-secondary'}`}
+                    >
+                        Phase {key}: {rubric.title}
+                    </button>
+                ))}
+                <label style={{ marginLeft: 'auto', display: 'flex', alignItems: 'center', gap: '8px', color: '#b3b3b3' }}>
+                    <input type="checkbox" checked={showScored} onChange={(e) => setShowScored(e.target.checked)} />
+                    Show entries I've scored
+                </label>
+            </div>
+
+            <p style={{ color: '#FFD700', marginBottom: '20px' }}>
+                {remaining === 0 ? 'All caught up for this phase 🎉' : `${remaining} of ${phaseEntries.length} left to score`}
+            </p>
+
+            <div style={{ display: 'grid', gridTemplateColumns: 'repeat(auto-fill, minmax(320px, 1fr))', gap: '20px' }}>
+                {visible.map(entry => (
+                    <EntryCard key={entry.entryId} entry={entry} rubric={data.phases[phase]} onSave={saveScores} />
+                ))}
+            </div>
+        </div>
+    )
+}
+
+function EntryCard({ entry, rubric, onSave }) {
+    return (
+        <div className="card" style={{ padding: '15px', border: entry.myScores ? '1px solid #22c55e' : undefined }}>
+            <a href={`${API_URL}${entry.imageUrl}`} target="_blank" rel="noopener noreferrer">
+                <img
+                    src={`${API_URL}${entry.imageUrl}`}
+                    alt={`Entry ${entry.entryId}`}
+                    style={{ width: '100%', height: '220px', objectFit: 'cover', borderRadius: '8px' }}
+                />
+            </a>
+            <p style={{ margin: '10px 0 4px', fontFamily: 'Orbitron', color: '#FFD700' }}>#{entry.entryId}</p>
+            {entry.caption && <p style={{ margin: '0 0 12px', fontSize: '0.9rem', fontStyle: 'italic' }}>"{entry.caption}"</p>}
+            <RubricScoreForm rubric={rubric} saved={entry.myScores} onSave={(scores) => onSave(entry.entryId, scores)} />
+        </div>
+    )
+}
@@ -1,18 +1,26 @@
 import { useState } from 'react'
 import { useNavigate } from 'react-router-dom'
 import { Rocket, Users, Clock, Trophy, Sparkles } from 'lucide-react'
-import { API_URL } from '../App'
+import { API_URL } from '../api'
 
 export default function LandingPage({ team, setTeam }) {
     const navigate = useNavigate()
     const [showResume, setShowResume] = useState(false)
-    const [resumeTeamName, setResumeTeamName] = useState('')
+    const [resumeCode, setResumeCode] = useState('')
+    const [pinMembers, setPinMembers] = useState(null)
+    const [memberName, setMemberName] = useState('')
+    const [pin, setPin] = useState('')
     const [error, setError] = useState('')
     const [loading, setLoading] = useState(false)
 
     const handleResume = async () => {
-        if (!resumeTeamName.trim()) {
-            setError('Please enter your team name')
+        if (!resumeCode.trim()) {
+            setError('Please enter your resume code')
+            return
+        }
+
+        if (pinMembers && (!memberName || !pin.trim())) {
+            setError('Select your name and enter your PIN')
             return
         }
 
@@ -20,18 +28,31 @@ export default function LandingPage({ team, setTeam }) {
         setError('')
 
         try {
-            const res = await fetch(`${API_URL}/teams/${resumeTeamName}`)
+            const res = await fetch(`${API_URL}/teams/resume`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    resumeCode,
+                    ...(pinMembers && { memberName, pin })
+                })
+            })
             const data = await res.json()
 
             if (!res.ok) {
-                setError(data.error || 'Team not found')
+                // Valid code for a PIN-protected team - ask for a member PIN next
+                if (data.pinRequired) {
+                    setPinMembers(data.members)
+                    if (pinMembers) setError(data.error)
+                } else {
+                    setError(data.error || 'Invalid resume code')
+                }
                 setLoading(false)
                 return
             }
 
-            setTeam(data)
+            setTeam({ ...data.team, token: data.token })
             setShowResume(false)
-        } catch (err) {
+        } catch {
             setError('Failed to connect to server')
         }
         setLoading(false)
@@ -110,16 +131,51 @@ export default function LandingPage({ team, setTeam }) {
                     <div className="card" style={{ maxWidth: '400px', margin: '30px auto' }}>
                         <h3 style={{ marginBottom: '20px' }}>Resume Your Progress</h3>
                         <div className="form-group">
-                            <label className="form-label">Team Name</label>
+                            <label className="form-label">Resume Code</label>
                             <input
                                 type="text"
                                 className="form-input"
-                                placeholder="Enter your team name"
-                                value={resumeTeamName}
-                                onChange={(e) => setResumeTeamName(e.target.value)}
+                                placeholder="e.g. K7QM-4XPA"
+                                value={resumeCode}
+                                onChange={(e) => {
+                                    setResumeCode(e.target.value.toUpperCase())
+                                    setPinMembers(null)
+                                }}
+                                style={{ fontFamily: 'Orbitron', letterSpacing: '2px' }}
                             />
-                            {error && <p className="form-error">{error}</p>}
+                            <p style={{ color: '#b3b3b3', fontSize: '0.85rem', marginTop: '8px' }}>
+                                Shown on the registration screen when your team signed up.
+                            </p>
                         </div>
+                        {pinMembers && (
+                            <>
+                                <div className="form-group">
+                                    <label className="form-label">Your Name</label>
+                                    <select
+                                        className="form-input"
+                                        value={memberName}
+                                        onChange={(e) => setMemberName(e.target.value)}
+                                    >
+                                        <option value="" disabled>-- Select member --</option>
+                                        {pinMembers.map(m => (
+                                            <option key={m} value={m}>{m}</option>
+                                        ))}
+                                    </select>
+                                </div>
+                                <div className="form-group">
+                                    <label className="form-label">Member PIN</label>
+                                    <input
+                                        type="password"
+                                        inputMode="numeric"
+                                        className="form-input"
+                                        placeholder="4-digit PIN"
+                                        value={pin}
+                                        onChange={(e) => setPin(e.target.value)}
+                                    />
+                                </div>
+                            </>
+                        )}
+                        {error && <p className="form-error" style={{ marginBottom: '15px' }}>{error}</p>}
                         <button onClick={handleResume} className="btn btn-primary" disabled={loading} style={{ width: '100%' }}>
                             {loading ? 'Loading...' : 'Resume'}
                         </button>
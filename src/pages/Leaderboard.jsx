@@ -1,11 +1,13 @@
 import { useState, useEffect } from 'react'
-import { Trophy, Clock, Medal, RefreshCw } from 'lucide-react'
-import { API_URL } from '../App'
+import { Trophy, Clock, Medal, RefreshCw, Radio } from 'lucide-react'
+import { API_URL } from '../api'
 
 export default function Leaderboard() {
     const [teams, setTeams] = useState([])
     const [loading, setLoading] = useState(true)
     const [lastUpdate, setLastUpdate] = useState(new Date())
+    const [live, setLive] = useState(false)
+    const [recent, setRecent] = useState([])
 
     const fetchLeaderboard = async () => {
         try {
@@ -19,10 +21,23 @@ export default function Leaderboard() {
         setLoading(false)
     }
 
+    // The public event feed carries the full ranking on connect and after every change,
+    // plus redacted phase.completed events for the "just cleared" strip
     useEffect(() => {
-        fetchLeaderboard()
-        const interval = setInterval(fetchLeaderboard, 30000) // Auto-refresh every 30s
-        return () => clearInterval(interval)
+        const source = new EventSource(`${API_URL}/events`)
+        source.addEventListener('leaderboard', (e) => {
+            setTeams(JSON.parse(e.data))
+            setLastUpdate(new Date())
+            setLoading(false)
+            setLive(true)
+        })
+        source.addEventListener('phase.completed', (e) => {
+            const event = JSON.parse(e.data)
+            setRecent(prev => [event, ...prev].slice(0, 3))
+        })
+        // EventSource reconnects on its own; just show that we're offline meanwhile
+        source.onerror = () => setLive(false)
+        return () => source.close()
     }, [])
 
     const formatTime = (seconds) => {
@@ -49,17 +64,30 @@ export default function Leaderboard() {
                 <Trophy size={60} style={{ color: '#FFD700', marginBottom: '20px' }} />
                 <h1>Leaderboard</h1>
                 <p style={{ fontSize: '1.1rem', marginTop: '15px' }}>
-                    Top teams who completed CodeHunt-2026
+                    Live standings for CodeHunt-2026
                 </p>
 
                 <div style={{ marginTop: '20px', display: 'flex', alignItems: 'center', justifyContent: 'center', gap: '15px' }}>
                     <button onClick={fetchLeaderboard} className="btn btn-secondary btn-small">
                         <RefreshCw size={16} /> Refresh
                     </button>
+                    <span style={{ color: live ? '#22c55e' : '#666', fontSize: '0.9rem', display: 'inline-flex', alignItems: 'center', gap: '6px' }}>
+                        <Radio size={14} /> {live ? 'Live' : 'Reconnecting...'}
+                    </span>
                     <span style={{ color: '#666', fontSize: '0.9rem' }}>
                         Last updated: {lastUpdate.toLocaleTimeString()}
                     </span>
                 </div>
+
+                {recent.length > 0 && (
+                    <div style={{ marginTop: '15px', display: 'flex', justifyContent: 'center', gap: '20px', flexWrap: 'wrap', fontSize: '0.9rem', color: '#b3b3b3' }}>
+                        {recent.map(event => (
+                            <span key={event.id}>
+                                {event.data.phase === 6 ? `🏁 ${event.data.teamName} finished!` : `⚡ ${event.data.teamName} cleared Phase ${event.data.phase}`}
+                            </span>
+                        ))}
+                    </div>
+                )}
             </div>
 
             {loading ? (
@@ -70,8 +98,8 @@ export default function Leaderboard() {
             ) : teams.length === 0 ? (
                 <div style={{ textAlign: 'center', padding: '60px 0' }}>
                     <Medal size={60} style={{ color: '#666', marginBottom: '20px' }} />
-                    <h3 style={{ color: '#666' }}>No teams have completed yet</h3>
-                    <p>Be the first to finish CodeHunt-2026!</p>
+                    <h3 style={{ color: '#666' }}>No teams registered yet</h3>
+                    <p>Be the first to join CodeHunt-2026!</p>
                 </div>
             ) : (
                 <div className="leaderboard">
@@ -101,7 +129,7 @@ export default function Leaderboard() {
                                         {teams[1]?.teamName}
                                     </h3>
                                     <p style={{ color: '#C0C0C0', fontFamily: 'Orbitron', margin: 0 }}>
-                                        {formatTime(teams[1]?.totalTimeSeconds)}
+                                        {teams[1]?.points} pts
                                     </p>
                                 </div>
                             </div>
@@ -124,7 +152,7 @@ export default function Leaderboard() {
                                         {teams[0]?.teamName}
                                     </h3>
                                     <p style={{ color: '#000', fontFamily: 'Orbitron', margin: 0, fontWeight: 'bold' }}>
-                                        {formatTime(teams[0]?.totalTimeSeconds)}
+                                        {teams[0]?.points} pts
                                     </p>
                                 </div>
                             </div>
@@ -145,7 +173,7 @@ export default function Leaderboard() {
                                         {teams[2]?.teamName}
                                     </h3>
                                     <p style={{ color: '#CD7F32', fontFamily: 'Orbitron', margin: 0 }}>
-                                        {formatTime(teams[2]?.totalTimeSeconds)}
+                                        {teams[2]?.points} pts
                                     </p>
                                 </div>
                             </div>
@@ -155,19 +183,25 @@ export default function Leaderboard() {
                     {/* Full List */}
                     {teams.map((team, index) => (
                         <div
-                            key={team.teamId || index}
+                            key={team.teamName}
                             className={`leaderboard-item ${index === 0 ? 'top-1' : index === 1 ? 'top-2' : index === 2 ? 'top-3' : ''}`}
                         >
                             <div className="leaderboard-rank">
-                                {getRankIcon(index + 1)}
+                                {getRankIcon(team.rank)}
                             </div>
                             <div className="leaderboard-info">
                                 <div className="leaderboard-team">{team.teamName}</div>
-                                <div className="leaderboard-leader">Led by {team.teamLeader}</div>
+                                <div className="leaderboard-leader">
+                                    Led by {team.teamLeader} · {team.finished ? 'Finished' : `Phase ${team.phaseReached}`}
+                                </div>
+                                <PhaseProgress completed={team.phasesCompleted} reached={team.finished ? null : team.phaseReached} />
                             </div>
-                            <div className="leaderboard-time">
-                                <Clock size={16} style={{ marginRight: '8px' }} />
-                                {formatTime(team.totalTimeSeconds)}
+                            <div style={{ textAlign: 'right' }}>
+                                <div className="leaderboard-time">{team.points} pts</div>
+                                <div style={{ color: '#b3b3b3', fontSize: '0.85rem', marginTop: '5px' }}>
+                                    <Clock size={14} style={{ marginRight: '6px', verticalAlign: 'middle' }} />
+                                    {formatTime(team.totalTimeSeconds)}
+                                </div>
                             </div>
                         </div>
                     ))}
@@ -176,3 +210,24 @@ export default function Leaderboard() {
         </div>
     )
 }
+
+// One segment per phase: green when completed, gold for the phase in progress
+function PhaseProgress({ completed, reached }) {
+    return (
+        <div style={{ display: 'flex', gap: '4px', marginTop: '10px', maxWidth: '300px' }}>
+            {[1, 2, 3, 4, 5, 6].map(num => (
+                <div
+                    key={num}
+                    title={`Phase ${num}`}
+                    style={{
+                        flex: 1,
+                        height: '6px',
+                        borderRadius: '3px',
+                        background: num <= completed ? '#22c55e' : num === reached ? '#FFD700' : '#333',
+                        transition: 'background 0.5s ease'
+                    }}
+                />
+            ))}
+        </div>
+    )
+}
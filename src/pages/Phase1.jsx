@@ -1,14 +1,17 @@
 import { useState } from 'react'
-import { Sparkles, Check, AlertCircle, ImageIcon } from 'lucide-react'
-import { API_URL } from '../App'
+import { Sparkles, Check, AlertCircle, ImageIcon, Upload } from 'lucide-react'
+import { API_URL, teamHeaders } from '../api'
+
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024
 
 export default function Phase1({ team, setTeam }) {
     const [loading, setLoading] = useState(false)
     const [success, setSuccess] = useState(false)
     const [errors, setErrors] = useState({})
+    const [image, setImage] = useState(null)
+    const [preview, setPreview] = useState(null)
 
     const [formData, setFormData] = useState({
-        driveLink: 'https://drive.google.com/drive/u/0/folders/1f8Xltto4DgaZB3YfnCiuncOqdUQs7Ffk',
         aiPrompt: ''
     })
 
@@ -65,6 +68,10 @@ export default function Phase1({ team, setTeam }) {
     const validateForm = () => {
         const newErrors = {}
 
+        if (!image) {
+            newErrors.image = 'Please choose your generated image'
+        }
+
         if (!formData.aiPrompt.toUpperCase().includes('VU2050')) {
             newErrors.aiPrompt = 'Prompt must contain keyword "VU2050"'
         }
@@ -80,18 +87,27 @@ export default function Phase1({ team, setTeam }) {
         setLoading(true)
 
         try {
+            const form = new FormData()
+            form.append('aiPrompt', formData.aiPrompt)
+            form.append('image', image)
+
+            // No Content-Type header - the browser sets the multipart boundary itself
             const res = await fetch(`${API_URL}/phase1/submit`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    teamId: team.teamId,
-                    driveLink: formData.driveLink,
-                    aiPrompt: formData.aiPrompt
-                })
+                headers: { Authorization: teamHeaders(team).Authorization },
+                body: form
             })
 
             const data = await res.json()
 
+            if (res.status === 409) {
+                // Another device on this team already moved past this phase - resync
+                const teamRes = await fetch(`${API_URL}/teams/me`, { headers: teamHeaders(team) })
+                if (teamRes.ok) setTeam(await teamRes.json())
+                setLoading(false)
+                return
+            }
+
             if (!res.ok) {
                 setErrors({ submit: data.error })
                 setLoading(false)
@@ -99,7 +115,7 @@ export default function Phase1({ team, setTeam }) {
             }
 
             // Refresh team data
-            const teamRes = await fetch(`${API_URL}/teams/${team.teamName}`)
+            const teamRes = await fetch(`${API_URL}/teams/me`, { headers: teamHeaders(team) })
             const teamData = await teamRes.json()
 
             if (teamRes.ok) setTeam(teamData)
@@ -111,6 +127,22 @@ export default function Phase1({ team, setTeam }) {
         setLoading(false)
     }
 
+    const handleImage = (file) => {
+        if (!file) return
+        if (!['image/jpeg', 'image/png'].includes(file.type)) {
+            setErrors(prev => ({ ...prev, image: 'Only JPG and PNG images are allowed' }))
+            return
+        }
+        if (file.size > MAX_IMAGE_BYTES) {
+            setErrors(prev => ({ ...prev, image: 'Image must be 5MB or smaller' }))
+            return
+        }
+        if (preview) URL.revokeObjectURL(preview)
+        setImage(file)
+        setPreview(URL.createObjectURL(file))
+        setErrors(prev => ({ ...prev, image: '' }))
+    }
+
     const handleChange = (e) => {
         const { name, value } = e.target
         setFormData(prev => ({ ...prev, [name]: value }))
@@ -184,7 +216,7 @@ export default function Phase1({ team, setTeam }) {
                     <ul style={{ paddingLeft: '20px', lineHeight: 2 }}>
                         <li>Use any AI tool: DALL-E, Midjourney, Stable Diffusion, Leonardo AI, etc.</li>
                         <li>Theme: Imagine VU campus in the year 2050 - futuristic, innovative, tech-forward</li>
-                        <li>Upload your "VU IN 2050" image to the shared Google Drive folder below</li>
+                        <li>Upload your "VU IN 2050" image below (JPG or PNG, up to 5MB) - the judges score every image</li>
                         <li>Your prompt MUST contain the keyword "VU2050"</li>
                     </ul>
                 </div>
@@ -201,26 +233,40 @@ export default function Phase1({ team, setTeam }) {
                     )}
 
                     <div className="form-group">
-                        <label className="form-label">Upload Your Generated Image Here *</label>
-                        <a
-                            href="https://drive.google.com/drive/u/0/folders/1f8Xltto4DgaZB3YfnCiuncOqdUQs7Ffk"
-                            target="_blank"
-                            rel="noopener noreferrer"
+                        <label className="form-label">Your Generated Image *</label>
+                        {preview && (
+                            <img
+                                src={preview}
+                                alt="AI image preview"
+                                style={{ display: 'block', maxWidth: '100%', maxHeight: '320px', borderRadius: '10px', marginBottom: '15px', border: '2px solid rgba(96, 165, 250, 0.4)' }}
+                            />
+                        )}
+                        <label
                             style={{
-                                display: 'block',
+                                display: 'flex',
+                                alignItems: 'center',
+                                justifyContent: 'center',
+                                gap: '10px',
                                 padding: '12px 20px',
                                 background: 'rgba(96, 165, 250, 0.1)',
                                 border: '1px solid #60a5fa',
                                 borderRadius: '8px',
                                 color: '#60a5fa',
-                                textDecoration: 'none',
-                                textAlign: 'center',
                                 fontWeight: 'bold',
-                                fontSize: '1rem'
+                                fontSize: '1rem',
+                                cursor: 'pointer'
                             }}
                         >
-                            Click Here to Upload Image to Google Drive
-                        </a>
+                            <Upload size={18} />
+                            {image ? `${image.name} - choose a different image` : 'Click Here to Choose Your Image'}
+                            <input
+                                type="file"
+                                accept="image/jpeg,image/png"
+                                onChange={(e) => handleImage(e.target.files[0])}
+                                style={{ display: 'none' }}
+                            />
+                        </label>
+                        {errors.image && <p className="form-error">{errors.image}</p>}
                     </div>
 
                     <div className="form-group">
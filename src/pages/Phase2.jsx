@@ -1,12 +1,13 @@
-import { useState, useEffect, useRef } from 'react'
+import { useState, useEffect, useRef, useCallback } from 'react'
 import { Target, Clock, Check, X, AlertCircle, ArrowRight, RotateCcw } from 'lucide-react'
-import { API_URL } from '../App'
+import { API_URL, teamHeaders } from '../api'
 
 export default function Phase2({ team, setTeam }) {
     const [questions, setQuestions] = useState([])
     const [currentQ, setCurrentQ] = useState(0)
     const [answers, setAnswers] = useState({})
-    const [timeLeft, setTimeLeft] = useState(300) // 5 minutes
+    const [timeLeft, setTimeLeft] = useState(0)
+    const [deadline, setDeadline] = useState(null) // server deadline, in local clock time
     const [loading, setLoading] = useState(true)
     const [timedOut, setTimedOut] = useState(false)
     const [submitting, setSubmitting] = useState(false)
@@ -14,14 +15,40 @@ export default function Phase2({ team, setTeam }) {
     const [completed, setCompleted] = useState(false)
     const timerRef = useRef(null)
 
-    // Fetch questions
+    // The server owns the clock - convert its deadline to local time so a skewed device clock doesn't matter
+    const applyTimer = useCallback((data) => {
+        if (!data.deadline) {
+            setDeadline(null)
+            return
+        }
+        const localDeadline = Date.now() + (data.deadline - data.serverTime)
+        setDeadline(localDeadline)
+        setTimeLeft(Math.max(0, Math.ceil((localDeadline - Date.now()) / 1000)))
+    }, [])
+
+    const startTimer = useCallback(async () => {
+        try {
+            const res = await fetch(`${API_URL}/phase2/start`, {
+                method: 'POST',
+                headers: teamHeaders(team)
+            })
+            const data = await res.json()
+            if (res.ok) applyTimer(data)
+        } catch {
+            console.error('Failed to start timer')
+        }
+    }, [team, applyTimer])
+
+    // Fetch questions (and resume or start the timer)
     useEffect(() => {
         const fetchQuestions = async () => {
             try {
-                const res = await fetch(`${API_URL}/phase2/questions`)
+                const res = await fetch(`${API_URL}/phase2/questions`, { headers: teamHeaders(team) })
                 const data = await res.json()
-                if (Array.isArray(data)) {
-                    setQuestions(data)
+                if (Array.isArray(data.questions)) {
+                    setQuestions(data.questions)
+                    // Fetching the questions starts (or resumes) the attempt on the server
+                    applyTimer(data)
                 }
             } catch (err) {
                 console.error('Failed to load questions')
@@ -29,25 +56,23 @@ export default function Phase2({ team, setTeam }) {
             setLoading(false)
         }
         fetchQuestions()
-    }, [])
+    }, [team, applyTimer])
 
     // Timer
     useEffect(() => {
-        if (loading || timedOut || completed || results) return
+        if (loading || timedOut || completed || results || !deadline) return
 
         timerRef.current = setInterval(() => {
-            setTimeLeft(prev => {
-                if (prev <= 1) {
-                    clearInterval(timerRef.current)
-                    setTimedOut(true)
-                    return 0
-                }
-                return prev - 1
-            })
+            const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000))
+            setTimeLeft(remaining)
+            if (remaining === 0) {
+                clearInterval(timerRef.current)
+                setTimedOut(true)
+            }
         }, 1000)
 
         return () => clearInterval(timerRef.current)
-    }, [loading, timedOut, completed, results])
+    }, [loading, timedOut, completed, results, deadline])
 
     // Submit all answers to backend
     const handleSubmitAll = async () => {
@@ -60,11 +85,28 @@ export default function Phase2({ team, setTeam }) {
         try {
             const res = await fetch(`${API_URL}/phase2/submit`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ teamId: team?.teamId, answers: answersArray })
+                headers: teamHeaders(team),
+                body: JSON.stringify({ answers: answersArray })
             })
             const data = await res.json()
 
+            if (res.status === 409) {
+                // Another device on this team already moved past this phase - resync
+                const teamRes = await fetch(`${API_URL}/teams/me`, { headers: teamHeaders(team) })
+                if (teamRes.ok) setTeam(await teamRes.json())
+                setSubmitting(false)
+                return
+            }
+
+            if (data.timedOut) {
+                setTimedOut(true)
+                setSubmitting(false)
+                return
+            }
+
+            // The attempt's clock never started (the start request failed) - start it so the next submit counts
+            if (data.notStarted) await startTimer()
+
             if (!res.ok) {
                 console.error('Submit error:', data.error)
                 setSubmitting(false)
@@ -76,7 +118,7 @@ export default function Phase2({ team, setTeam }) {
             if (data.passed) {
                 setCompleted(true)
                 try {
-                    const teamRes = await fetch(`${API_URL}/teams/${team.teamName}`)
+                    const teamRes = await fetch(`${API_URL}/teams/me`, { headers: teamHeaders(team) })
                     const teamData = await teamRes.json()
                     if (teamRes.ok) setTeam(teamData)
                 } catch (e) {
@@ -111,8 +153,8 @@ export default function Phase2({ team, setTeam }) {
         setAnswers({})
         setCurrentQ(0)
         setSubmitting(false)
-        setTimeLeft(300)
         setTimedOut(false)
+        startTimer()
     }
 
     // Redirect checks
@@ -328,10 +370,12 @@ export default function Phase2({ team, setTeam }) {
 
             {/* Timer & Progress */}
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px', flexWrap: 'wrap', gap: '15px' }}>
-                <div className={`timer ${timeLeft < 60 ? 'warning' : ''}`}>
-                    <Clock size={24} style={{ marginRight: '10px' }} />
-                    {formatTime(timeLeft)}
-                </div>
+                {deadline && (
+                    <div className={`timer ${timeLeft < 60 ? 'warning' : ''}`}>
+                        <Clock size={24} style={{ marginRight: '10px' }} />
+                        {formatTime(timeLeft)}
+                    </div>
+                )}
                 <div style={{ fontFamily: 'Orbitron', color: '#FFD700' }}>
                     Question {currentQ + 1} / {questions.length}
                 </div>
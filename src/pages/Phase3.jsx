@@ -1,23 +1,50 @@
 import { useState, useEffect, useCallback } from 'react'
 import { Code, Clock, Check, X, AlertCircle, RotateCcw } from 'lucide-react'
-import { API_URL } from '../App'
+import { API_URL, teamHeaders } from '../api'
 
 export default function Phase3({ team, setTeam }) {
     const [questions, setQuestions] = useState([])
     const [answers, setAnswers] = useState({})
-    const [timeLeft, setTimeLeft] = useState(480) // 8 minutes
+    const [timeLeft, setTimeLeft] = useState(0)
+    const [deadline, setDeadline] = useState(null) // server deadline, in local clock time
     const [loading, setLoading] = useState(true)
     const [submitted, setSubmitted] = useState(false)
     const [results, setResults] = useState(null)
 
+    // The server owns the clock - convert its deadline to local time so a skewed device clock doesn't matter
+    const applyTimer = useCallback((data) => {
+        if (!data.deadline) {
+            setDeadline(null)
+            return
+        }
+        const localDeadline = Date.now() + (data.deadline - data.serverTime)
+        setDeadline(localDeadline)
+        setTimeLeft(Math.max(0, Math.ceil((localDeadline - Date.now()) / 1000)))
+    }, [])
+
+    const startTimer = useCallback(async () => {
+        try {
+            const res = await fetch(`${API_URL}/phase3/start`, {
+                method: 'POST',
+                headers: teamHeaders(team)
+            })
+            const data = await res.json()
+            if (res.ok) applyTimer(data)
+        } catch {
+            console.error('Failed to start timer')
+        }
+    }, [team, applyTimer])
+
     // All hooks MUST be before any conditional returns (React hooks rule)
     useEffect(() => {
         const fetchQuestions = async () => {
             try {
-                const res = await fetch(`${API_URL}/phase3/questions`)
+                const res = await fetch(`${API_URL}/phase3/questions`, { headers: teamHeaders(team) })
                 const data = await res.json()
-                if (Array.isArray(data)) {
-                    setQuestions(data)
+                if (Array.isArray(data.questions)) {
+                    setQuestions(data.questions)
+                    // Fetching the questions starts (or resumes) the attempt on the server
+                    applyTimer(data)
                 } else {
                     console.error('Invalid questions format', data)
                 }
@@ -28,7 +55,7 @@ export default function Phase3({ team, setTeam }) {
             }
         }
         fetchQuestions()
-    }, [])
+    }, [team, applyTimer])
 
     const handleSubmit = useCallback(async () => {
         if (submitted) return
@@ -40,11 +67,29 @@ export default function Phase3({ team, setTeam }) {
         try {
             const res = await fetch(`${API_URL}/phase3/submit`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ teamId: team?.teamId, answers: answersArray })
+                headers: teamHeaders(team),
+                body: JSON.stringify({ answers: answersArray })
             })
             const data = await res.json()
 
+            if (res.status === 409) {
+                // Another device on this team already moved past this phase - resync
+                const teamRes = await fetch(`${API_URL}/teams/me`, { headers: teamHeaders(team) })
+                if (teamRes.ok) setTeam(await teamRes.json())
+                setSubmitted(false)
+                setLoading(false)
+                return
+            }
+
+            if (data.timedOut) {
+                setResults({ score: 0, passed: false, timedOut: true })
+                setLoading(false)
+                return
+            }
+
+            // The attempt's clock never started (the start request failed) - start it so the next submit counts
+            if (data.notStarted) await startTimer()
+
             if (!res.ok) {
                 console.error('Submit error:', data.error)
                 setSubmitted(false)
@@ -56,7 +101,7 @@ export default function Phase3({ team, setTeam }) {
 
             if (data.passed) {
                 try {
-                    const teamRes = await fetch(`${API_URL}/teams/${team.teamName}`)
+                    const teamRes = await fetch(`${API_URL}/teams/me`, { headers: teamHeaders(team) })
                     const teamData = await teamRes.json()
                     if (teamRes.ok) {
                         setTeam(teamData)
@@ -70,21 +115,20 @@ export default function Phase3({ team, setTeam }) {
             setSubmitted(false)
         }
         setLoading(false)
-    }, [answers, questions, team, submitted, setTeam])
+    }, [answers, questions, team, submitted, setTeam, startTimer])
 
     useEffect(() => {
-        if (submitted || loading) return
+        if (submitted || loading || !deadline) return
         const timer = setInterval(() => {
-            setTimeLeft(prev => {
-                if (prev <= 1) {
-                    handleSubmit()
-                    return 0
-                }
-                return prev - 1
-            })
+            const remaining = Math.max(0, Math.ceil((deadline - Date.now()) / 1000))
+            setTimeLeft(remaining)
+            if (remaining === 0) {
+                clearInterval(timer)
+                handleSubmit()
+            }
         }, 1000)
         return () => clearInterval(timer)
-    }, [submitted, loading, handleSubmit])
+    }, [submitted, loading, deadline, handleSubmit])
 
     // Redirect checks
     if (!team) {
@@ -189,7 +233,11 @@ export default function Phase3({ team, setTeam }) {
                     ) : (
                         <>
                             <h2 style={{ color: '#ef4444', marginBottom: '20px' }}>Not Quite!</h2>
-                            <p style={{ marginBottom: '30px' }}>You scored {results.score}/5 (need 3 to pass)</p>
+                            <p style={{ marginBottom: '30px' }}>
+                                {results.timedOut
+                                    ? 'Time ran out before your answers reached the server.'
+                                    : `You scored ${results.score}/5 (need 3 to pass)`}
+                            </p>
                         </>
                     )}
                 </div>
@@ -261,7 +309,7 @@ export default function Phase3({ team, setTeam }) {
                                     setResults(null)
                                     setSubmitted(false)
                                     setAnswers({})
-                                    setTimeLeft(480)
+                                    startTimer()
                                 }}
                                 className="btn btn-secondary"
                             >
@@ -284,10 +332,12 @@ export default function Phase3({ team, setTeam }) {
             </div>
 
             <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '30px' }}>
-                <div className={`timer ${timeLeft < 120 ? 'warning' : ''}`}>
-                    <Clock size={24} style={{ marginRight: '10px' }} />
-                    {formatTime(timeLeft)}
-                </div>
+                {deadline && (
+                    <div className={`timer ${timeLeft < 120 ? 'warning' : ''}`}>
+                        <Clock size={24} style={{ marginRight: '10px' }} />
+                        {formatTime(timeLeft)}
+                    </div>
+                )}
                 <div style={{ fontFamily: 'Orbitron', color: '#FFD700' }}>
                     {Object.keys(answers).length} / {questions.length} Answered
                 </div>
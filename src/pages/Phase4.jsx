@@ -1,24 +1,40 @@
 import { useState, useEffect } from 'react'
-import { Bug, Check, AlertCircle, Lightbulb, Key } from 'lucide-react'
-import { API_URL } from '../App'
+import { Bug, Check, AlertCircle, Lightbulb, Key, Play, Send, RotateCcw, Terminal } from 'lucide-react'
+import { API_URL, teamHeaders } from '../api'
+
+const draftKey = (team) => `codehunt_phase4_draft_${team?.teamId}`
 
 export default function Phase4({ team, setTeam }) {
     const [code, setCode] = useState('')
-    const [answer, setAnswer] = useState('')
+    const [draft, setDraft] = useState('')
     const [loading, setLoading] = useState(true)
     const [submitting, setSubmitting] = useState(false)
+    const [running, setRunning] = useState(false)
+    const [run, setRun] = useState(null)
     const [result, setResult] = useState(null)
     const [attempts, setAttempts] = useState(0)
-    const [hint, setHint] = useState(null)
+    const [hints, setHints] = useState([])
+    const [nextHintAt, setNextHintAt] = useState(null)
+    const [hintPenalty, setHintPenalty] = useState(0)
+
+    const applyHints = (data) => {
+        if (data.attempts !== undefined) setAttempts(data.attempts)
+        if (data.hints) setHints(data.hints)
+        if (data.nextHintAt !== undefined) setNextHintAt(data.nextHintAt)
+        if (data.hintPenalty !== undefined) setHintPenalty(data.hintPenalty)
+    }
 
     // Fetch code - MUST be before any conditional returns (React hooks rule)
     useEffect(() => {
         const fetchCode = async () => {
             try {
-                const res = await fetch(`${API_URL}/phase4/code`)
+                const res = await fetch(`${API_URL}/phase4/code`, { headers: teamHeaders(team) })
                 const data = await res.json()
                 if (data.code) {
                     setCode(data.code)
+                    // Keep a team's half-finished fix across reloads
+                    setDraft(localStorage.getItem(draftKey(team)) || data.code)
+                    applyHints(data)
                     setLoading(false)
                 } else {
                     console.error('Invalid code data:', data)
@@ -30,7 +46,7 @@ export default function Phase4({ team, setTeam }) {
             }
         }
         fetchCode()
-    }, [])
+    }, [team])
 
     // Redirect checks
     if (!team) {
@@ -127,22 +143,55 @@ export default function Phase4({ team, setTeam }) {
         )
     }
 
-    const handleSubmit = async () => {
-        if (!answer.trim()) return
+    const updateDraft = (value) => {
+        setDraft(value)
+        localStorage.setItem(draftKey(team), value)
+    }
+
+    // Tab indents instead of leaving the editor
+    const handleEditorKeyDown = (e) => {
+        if (e.key !== 'Tab') return
+        e.preventDefault()
+        const { selectionStart, selectionEnd } = e.target
+        updateDraft(draft.slice(0, selectionStart) + '    ' + draft.slice(selectionEnd))
+        requestAnimationFrame(() => {
+            e.target.selectionStart = e.target.selectionEnd = selectionStart + 4
+        })
+    }
+
+    const handleRun = async () => {
+        setRunning(true)
+        setResult(null)
+
+        try {
+            const res = await fetch(`${API_URL}/phase4/run`, {
+                method: 'POST',
+                headers: teamHeaders(team),
+                body: JSON.stringify({ code: draft })
+            })
+            const data = await res.json()
+            setRun(res.ok ? data : { ok: false, stage: 'compile', errors: [{ line: 1, message: data.error }], output: '' })
+        } catch {
+            setResult({ success: false, message: 'Failed to reach the server' })
+        }
+
+        setRunning(false)
+    }
 
+    const handleSubmit = async () => {
         setSubmitting(true)
 
         try {
             const res = await fetch(`${API_URL}/phase4/submit`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({ teamId: team.teamId, answer })
+                headers: teamHeaders(team),
+                body: JSON.stringify({ code: draft })
             })
             const data = await res.json()
 
             if (!res.ok) {
-                if (data.error === 'Not on Phase 4' || data.error?.includes('completed')) {
-                    const teamRes = await fetch(`${API_URL}/teams/${team.teamName}`)
+                if (res.status === 409 || data.error === 'Not on Phase 4' || data.error?.includes('completed')) {
+                    const teamRes = await fetch(`${API_URL}/teams/me`, { headers: teamHeaders(team) })
                     if (teamRes.ok) {
                         const teamData = await teamRes.json()
                         setTeam(teamData)
@@ -151,33 +200,33 @@ export default function Phase4({ team, setTeam }) {
                 }
 
                 setResult({ success: false, message: data.error || 'Submission failed' })
-                if (data.attempts) setAttempts(data.attempts)
                 setSubmitting(false)
                 return
             }
 
+            if (data.run) setRun(data.run)
+
             if (data.correct) {
+                localStorage.removeItem(draftKey(team))
                 setResult({ success: true, message: data.message })
-                const teamRes = await fetch(`${API_URL}/teams/${team.teamName}`)
+                const teamRes = await fetch(`${API_URL}/teams/me`, { headers: teamHeaders(team) })
                 const teamData = await teamRes.json()
                 setTeam(teamData)
             } else {
                 setResult({ success: false, message: data.message })
-                setAttempts(data.attempts)
-                if (data.hint) setHint(data.hint)
+                applyHints(data)
             }
-        } catch (err) {
+        } catch {
             setResult({ success: false, message: 'Failed to submit' })
         }
 
         setSubmitting(false)
     }
 
-    const highlightCode = (codeStr) => {
-        return codeStr
-            .replace(/(".*?")/g, '<span class="code-string">$1</span>')
-            .replace(/(\d+)/g, '<span class="code-number">$1</span>')
-            .replace(/(\/\/.*)/g, '<span class="code-comment">$1</span>')
+    const resetDraft = () => {
+        if (!window.confirm('Discard your changes and start again from the original code?')) return
+        updateDraft(code)
+        setRun(null)
     }
 
     if (loading) {
@@ -206,31 +255,27 @@ export default function Phase4({ team, setTeam }) {
                 </h3>
                 <p style={{ marginBottom: '20px' }}>
                     This code contains <strong style={{ color: '#FFD700' }}>3 bugs</strong>.
-                    Find them, fix them mentally, and determine the correct output of the fixed code.
+                    Fix them in the editor, run the program to check what it prints, and submit once it works.
                 </p>
 
-                <div className="code-block" style={{ marginBottom: '0' }}>
-                    <pre className="code-content" dangerouslySetInnerHTML={{ __html: highlightCode(code) }} />
-                </div>
-            </div>
+                <CodeEditor
+                    value={draft}
+                    onChange={updateDraft}
+                    onKeyDown={handleEditorKeyDown}
+                    errorLines={run && !run.ok ? run.errors.map(e => e.line) : []}
+                />
 
-            {/* Hint Box */}
-            {hint && (
-                <div className="hint-box">
-                    <div className="hint-box-title">
-                        <Lightbulb size={18} style={{ marginRight: '8px' }} />
-                        Hint
-                    </div>
-                    <p className="hint-box-text">{hint}</p>
+                <div style={{ display: 'flex', gap: '10px', flexWrap: 'wrap' }}>
+                    <button onClick={handleRun} className="btn btn-secondary" disabled={running || submitting}>
+                        <Play size={16} /> {running ? 'Running...' : 'Run'}
+                    </button>
+                    <button onClick={handleSubmit} className="btn btn-primary" disabled={running || submitting}>
+                        <Send size={16} /> {submitting ? 'Checking...' : 'Submit Fix'}
+                    </button>
+                    <button onClick={resetDraft} className="btn btn-secondary btn-small" style={{ marginLeft: 'auto' }}>
+                        <RotateCcw size={14} /> Reset Code
+                    </button>
                 </div>
-            )}
-
-            {/* Answer Input */}
-            <div className="card">
-                <h3 style={{ marginBottom: '20px' }}>
-                    <Key size={20} style={{ marginRight: '10px' }} />
-                    Enter the Correct Output
-                </h3>
 
                 {result && !result.success && (
                     <div style={{
@@ -238,30 +283,34 @@ export default function Phase4({ team, setTeam }) {
                         border: '1px solid #ef4444',
                         borderRadius: '8px',
                         padding: '15px',
-                        marginBottom: '20px'
+                        marginTop: '20px'
                     }}>
                         <AlertCircle size={18} style={{ marginRight: '10px', color: '#ef4444' }} />
-                        {result.message} (Attempt {attempts})
+                        {result.message}{attempts > 0 && ` (Wrong submissions: ${attempts})`}
                     </div>
                 )}
 
-                <div className="form-group">
-                    <label className="form-label">Output</label>
-                    <input
-                        type="text"
-                        className="form-input"
-                        placeholder="Enter the correct output"
-                        value={answer}
-                        onChange={(e) => setAnswer(e.target.value)}
-                        style={{ maxWidth: '300px' }}
-                    />
-                </div>
-
-                <button onClick={handleSubmit} className="btn btn-primary" disabled={submitting}>
-                    {submitting ? 'Checking...' : 'Submit Answer'}
-                </button>
+                {run && <RunOutput run={run} />}
             </div>
 
+            {/* Hint Box - hints unlock on the server after enough wrong answers */}
+            {hints.map((hint, i) => (
+                <div key={i} className="hint-box">
+                    <div className="hint-box-title">
+                        <Lightbulb size={18} style={{ marginRight: '8px' }} />
+                        Hint {i + 1}
+                    </div>
+                    <p className="hint-box-text">{hint}</p>
+                </div>
+            ))}
+            {nextHintAt && attempts > 0 && (
+                <p style={{ color: '#b3b3b3', fontSize: '0.9rem', marginBottom: '20px' }}>
+                    <Lightbulb size={14} style={{ marginRight: '6px' }} />
+                    Next hint unlocks after {nextHintAt - attempts} more wrong {nextHintAt - attempts === 1 ? 'submission' : 'submissions'}
+                    {hintPenalty > 0 && ` (each hint costs ${hintPenalty} leaderboard points)`}.
+                </p>
+            )}
+
             {/* Bug Types to Look For */}
             <div className="card" style={{ marginTop: '30px' }}>
                 <h3 style={{ marginBottom: '15px' }}>Common Bug Types</h3>
@@ -274,3 +323,58 @@ export default function Phase4({ team, setTeam }) {
         </div>
     )
 }
+
+function CodeEditor({ value, onChange, onKeyDown, errorLines }) {
+    const lineCount = value.split('\n').length
+
+    return (
+        <div className="code-block" style={{ display: 'flex', padding: '20px 25px' }}>
+            <div className="code-line-numbers">
+                {Array.from({ length: lineCount }, (_, i) => (
+                    <span key={i} style={errorLines.includes(i + 1) ? { color: '#ef4444', fontWeight: 'bold' } : undefined}>
+                        {i + 1}
+                    </span>
+                ))}
+            </div>
+            <textarea
+                className="code-editor"
+                value={value}
+                onChange={(e) => onChange(e.target.value)}
+                onKeyDown={onKeyDown}
+                rows={lineCount}
+                spellCheck={false}
+                autoCapitalize="off"
+                autoCorrect="off"
+            />
+        </div>
+    )
+}
+
+function RunOutput({ run }) {
+    const failed = !run.ok
+    const title = failed ? (run.stage === 'compile' ? 'Compile Errors' : 'Runtime Error') : 'Program Output'
+
+    return (
+        <div style={{
+            marginTop: '20px',
+            background: '#0d1117',
+            border: `1px solid ${failed ? '#ef4444' : '#333'}`,
+            borderRadius: '8px',
+            padding: '15px 20px',
+            fontFamily: "'Fira Code', 'Monaco', 'Consolas', monospace",
+            fontSize: '0.9rem'
+        }}>
+            <div style={{ color: failed ? '#ef4444' : '#FFD700', marginBottom: '10px', fontFamily: 'Orbitron', fontSize: '0.8rem' }}>
+                <Terminal size={14} style={{ marginRight: '8px' }} />
+                {title}
+            </div>
+            {run.output && <pre style={{ color: '#e6e6e6', margin: 0, whiteSpace: 'pre-wrap' }}>{run.output}</pre>}
+            {!failed && !run.output && <p style={{ color: '#666', margin: 0 }}>(no output)</p>}
+            {failed && run.errors.map((error, i) => (
+                <p key={i} style={{ color: '#fca5a5', margin: '4px 0' }}>
+                    line {error.line}: {error.message}
+                </p>
+            ))}
+        </div>
+    )
+}
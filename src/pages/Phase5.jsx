@@ -1,6 +1,6 @@
 import { useState, useEffect } from 'react'
 import { Brain, Check, X, AlertCircle, Sparkles, RotateCcw } from 'lucide-react'
-import { API_URL } from '../App'
+import { API_URL, teamHeaders } from '../api'
 
 function HintPoem() {
     return (
@@ -39,7 +39,7 @@ export default function Phase5({ team, setTeam }) {
     useEffect(() => {
         const fetchRiddles = async () => {
             try {
-                const res = await fetch(`${API_URL}/phase5/riddles`)
+                const res = await fetch(`${API_URL}/phase5/riddles`, { headers: teamHeaders(team) })
                 const data = await res.json()
                 if (Array.isArray(data)) {
                     setRiddles(data)
@@ -53,7 +53,7 @@ export default function Phase5({ team, setTeam }) {
             }
         }
         fetchRiddles()
-    }, [])
+    }, [team])
 
     // Redirect checks
     if (!team) {
@@ -189,9 +189,8 @@ export default function Phase5({ team, setTeam }) {
         try {
             const res = await fetch(`${API_URL}/phase5/answer`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: teamHeaders(team),
                 body: JSON.stringify({
-                    teamId: team.teamId,
                     riddleId: riddle.id,
                     answer: answer
                 })
@@ -229,19 +228,24 @@ export default function Phase5({ team, setTeam }) {
         try {
             const res = await fetch(`${API_URL}/phase5/complete`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
+                headers: teamHeaders(team),
                 body: JSON.stringify({
-                    teamId: team.teamId,
                     answers: allAnswers
                 })
             })
 
             const data = await res.json()
+            if (res.status === 409) {
+                // Another device on this team already moved past this phase - resync
+                const teamRes = await fetch(`${API_URL}/teams/me`, { headers: teamHeaders(team) })
+                if (teamRes.ok) setTeam(await teamRes.json())
+                return
+            }
             if (data.success) {
                 setScore(data.score)
                 setCompleted(true)
                 // Refresh team data
-                const teamRes = await fetch(`${API_URL}/teams/${team.teamName}`)
+                const teamRes = await fetch(`${API_URL}/teams/me`, { headers: teamHeaders(team) })
                 const teamData = await teamRes.json()
                 setTeam(teamData)
             } else {
@@ -302,7 +306,7 @@ export default function Phase5({ team, setTeam }) {
 
             <div className="card" style={{ position: 'relative', overflow: 'hidden' }}>
                 <div style={{ marginBottom: '30px' }}>
-                    <p style={{ fontSize: '1.1rem', lineHeight: '1.8', whiteSpace: 'pre-line', fontFamily: 'monospace' }}>{riddle.riddle}</p>
+                    <p style={{ fontSize: '1.1rem', lineHeight: '1.8', whiteSpace: 'pre-wrap', fontFamily: 'monospace' }}>{riddle.riddle}</p>
                 </div>
 
                 {riddle.type === 'mcq' ? (
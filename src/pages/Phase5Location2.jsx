@@ -1,6 +1,7 @@
 import { MapPin, Camera } from 'lucide-react'
+import LocationCheckIn from '../components/LocationCheckIn'
 
-export default function Phase5Location2() {
+export default function Phase5Location2({ team, setTeam }) {
     return (
         <div className="container" style={{ maxWidth: '700px', margin: '0 auto', padding: '60px 20px' }}>
             {/* Header */}
@@ -14,6 +15,8 @@ export default function Phase5Location2() {
                 </p>
             </div>
 
+            <LocationCheckIn team={team} setTeam={setTeam} only={['phase5-location2']} />
+
             {/* Riddle Card */}
             <div style={{
                 background: 'rgba(139, 92, 246, 0.08)',
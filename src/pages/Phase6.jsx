@@ -1,17 +1,45 @@
-import { useState } from 'react'
-import { MapPin, AlertCircle, Clock, Upload } from 'lucide-react'
+import { useState, useEffect } from 'react'
+import { MapPin, AlertCircle, Clock, Upload, Camera, Hourglass } from 'lucide-react'
 import Confetti from 'react-confetti'
-import { API_URL } from '../App'
+import { API_URL, teamHeaders } from '../api'
+import LocationCheckIn from '../components/LocationCheckIn'
 
-const DRIVE_FOLDER_URL = 'https://drive.google.com/drive/u/0/folders/1f8Xltto4DgaZB3YfnCiuncOqdUQs7Ffk'
+const REVIEW_POLL_MS = 10000
+const MAX_PHOTO_BYTES = 5 * 1024 * 1024
 
 export default function Phase6({ team, setTeam }) {
     const [location, setLocation] = useState('')
+    const [photo, setPhoto] = useState(null)
+    const [preview, setPreview] = useState(null)
     const [loading, setLoading] = useState(false)
     const [completed, setCompleted] = useState(false)
     const [finalData, setFinalData] = useState(null)
     const [error, setError] = useState('')
 
+    const review = team?.phase6?.review
+    const awaitingReview = team?.currentPhase === 6 && review?.status === 'pending'
+
+    // While the photo sits in the moderation queue, check back until an admin has decided
+    useEffect(() => {
+        if (!awaitingReview) return
+        const poll = setInterval(async () => {
+            try {
+                const res = await fetch(`${API_URL}/teams/me`, { headers: teamHeaders(team) })
+                if (!res.ok) return
+                const teamData = await res.json()
+                if (teamData.phase6?.review?.status === 'pending') return
+                if (teamData.phase6?.completed) {
+                    setFinalData(teamData)
+                    setCompleted(true)
+                }
+                setTeam(teamData)
+            } catch {
+                // Try again on the next tick
+            }
+        }, REVIEW_POLL_MS)
+        return () => clearInterval(poll)
+    }, [awaitingReview, team, setTeam])
+
     // Redirect checks
     if (!team) {
         return (
@@ -22,7 +50,7 @@ export default function Phase6({ team, setTeam }) {
         )
     }
 
-    if (team.phase6?.completed || team.currentPhase > 6) {
+    if (!completed && (team.phase6?.completed || team.currentPhase > 6)) {
         return (
             <div className="container" style={{ textAlign: 'center', padding: '60px 0' }}>
                 <Confetti colors={['#FFD700', '#FFC107', '#FFEB3B', '#FFFFFF']} numberOfPieces={200} />
@@ -43,36 +71,67 @@ export default function Phase6({ team, setTeam }) {
         )
     }
 
+    const handlePhoto = (file) => {
+        setError('')
+        if (!file) return
+        if (!['image/jpeg', 'image/png'].includes(file.type)) {
+            setError('Only JPG and PNG photos are allowed')
+            return
+        }
+        if (file.size > MAX_PHOTO_BYTES) {
+            setError('Photo must be 5MB or smaller')
+            return
+        }
+        if (preview) URL.revokeObjectURL(preview)
+        setPhoto(file)
+        setPreview(URL.createObjectURL(file))
+    }
+
     const handleSubmit = async () => {
         if (!location.trim()) {
             setError('Please enter the location you found')
             return
         }
+        if (!photo) {
+            setError('Please add your team photo')
+            return
+        }
 
         setLoading(true)
         setError('')
 
         try {
+            const form = new FormData()
+            form.append('locationAnswer', location)
+            form.append('photo', photo)
+
+            // No Content-Type header - the browser sets the multipart boundary itself
             const res = await fetch(`${API_URL}/phase6/submit`, {
                 method: 'POST',
-                headers: { 'Content-Type': 'application/json' },
-                body: JSON.stringify({
-                    teamId: team.teamId,
-                    locationAnswer: location
-                })
+                headers: { Authorization: teamHeaders(team).Authorization },
+                body: form
             })
             const data = await res.json()
 
+            if (res.status === 409) {
+                // Another device on this team already moved past this phase - resync
+                const teamRes = await fetch(`${API_URL}/teams/me`, { headers: teamHeaders(team) })
+                if (teamRes.ok) setTeam(await teamRes.json())
+                setLoading(false)
+                return
+            }
+
             if (!res.ok) {
                 setError(data.error || 'Submission failed')
                 setLoading(false)
                 return
             }
 
-            setFinalData(data)
-            setCompleted(true)
+            URL.revokeObjectURL(preview)
+            setPhoto(null)
+            setPreview(null)
 
-            const teamRes = await fetch(`${API_URL}/teams/${team.teamName}`)
+            const teamRes = await fetch(`${API_URL}/teams/me`, { headers: teamHeaders(team) })
             const teamData = await teamRes.json()
             setTeam(teamData)
         } catch (err) {
@@ -157,6 +216,26 @@ export default function Phase6({ team, setTeam }) {
         )
     }
 
+    if (awaitingReview) {
+        return (
+            <div className="container" style={{ textAlign: 'center', padding: '60px 0', maxWidth: '700px', margin: '0 auto' }}>
+                <Hourglass size={60} style={{ color: '#FFD700', marginBottom: '20px' }} />
+                <h2 style={{ marginBottom: '15px' }}>Photo Under Review</h2>
+                <p style={{ fontSize: '1.1rem', color: '#b3b3b3', marginBottom: '30px' }}>
+                    An organizer is checking your team photo. This page updates by itself once it's approved.
+                </p>
+                <img
+                    src={`${API_URL}${review.photoUrl}`}
+                    alt="Submitted team photo"
+                    style={{ maxWidth: '100%', maxHeight: '360px', borderRadius: '15px', border: '3px solid rgba(255, 215, 0, 0.4)' }}
+                />
+                {review.locationAnswer && (
+                    <p style={{ marginTop: '20px' }}><strong>Location:</strong> {review.locationAnswer}</p>
+                )}
+            </div>
+        )
+    }
+
     return (
         <div className="container" style={{ maxWidth: '800px', margin: '0 auto' }}>
             <div style={{ textAlign: 'center', marginBottom: '40px' }}>
@@ -203,16 +282,34 @@ export default function Phase6({ team, setTeam }) {
                     </div>
                 )}
 
-                {/* Upload Photo to Drive Folder */}
+                {review?.status === 'rejected' && (
+                    <div style={{
+                        background: 'rgba(239, 68, 68, 0.1)',
+                        border: '1px solid #ef4444',
+                        borderRadius: '8px',
+                        padding: '15px',
+                        marginBottom: '20px'
+                    }}>
+                        <strong style={{ color: '#ef4444' }}>Your last photo was not accepted.</strong>
+                        {review.note && <p style={{ margin: '8px 0 0' }}>{review.note}</p>}
+                        <p style={{ margin: '8px 0 0', color: '#b3b3b3' }}>Take a new photo at the location and submit again.</p>
+                    </div>
+                )}
+
+                {/* Team Photo */}
                 <div style={{ marginBottom: '20px' }}>
-                    <label className="form-label">Upload Team Photo</label>
+                    <label className="form-label">Team Photo</label>
                     <p style={{ color: '#b3b3b3', fontSize: '0.9rem', marginBottom: '15px' }}>
-                        Upload your team photo to the shared Google Drive folder, then submit your location below.
+                        Take a photo of your whole team at the location (JPG or PNG, up to 5MB). An organizer checks it before your finish is confirmed.
                     </p>
-                    <a
-                        href={DRIVE_FOLDER_URL}
-                        target="_blank"
-                        rel="noopener noreferrer"
+                    {preview && (
+                        <img
+                            src={preview}
+                            alt="Team photo preview"
+                            style={{ display: 'block', maxWidth: '100%', maxHeight: '320px', borderRadius: '10px', marginBottom: '15px', border: '2px solid rgba(255, 215, 0, 0.3)' }}
+                        />
+                    )}
+                    <label
                         className="btn btn-primary"
                         style={{
                             display: 'inline-flex',
@@ -220,15 +317,25 @@ export default function Phase6({ team, setTeam }) {
                             gap: '10px',
                             padding: '14px 30px',
                             fontSize: '1rem',
-                            textDecoration: 'none'
+                            cursor: 'pointer'
                         }}
                     >
-                        <Upload size={20} />
-                        Open Drive Folder to Upload Photo
-                    </a>
+                        {photo ? <Upload size={20} /> : <Camera size={20} />}
+                        {photo ? 'Choose a Different Photo' : 'Take or Choose Photo'}
+                        <input
+                            type="file"
+                            accept="image/jpeg,image/png"
+                            capture="environment"
+                            onChange={(e) => handlePhoto(e.target.files[0])}
+                            style={{ display: 'none' }}
+                        />
+                    </label>
                 </div>
             </div>
 
+            {/* Geofenced check-ins (only when organizers set coordinates) */}
+            <LocationCheckIn team={team} setTeam={setTeam} />
+
             {/* Location Input */}
             <div className="card" style={{ marginBottom: '30px' }}>
                 <div className="form-group" style={{ marginBottom: 0 }}>
@@ -1,6 +1,6 @@
 import { useState } from 'react'
-import { Users, Check, AlertCircle } from 'lucide-react'
-import { API_URL } from '../App'
+import { Users, Check, AlertCircle, KeyRound } from 'lucide-react'
+import { API_URL } from '../api'
 
 const THEMES = [
     'AI in Healthcare',
@@ -14,13 +14,15 @@ export default function Register({ team, setTeam }) {
     const [loading, setLoading] = useState(false)
     const [success, setSuccess] = useState(false)
     const [errors, setErrors] = useState({})
+    const [credentials, setCredentials] = useState(null)
 
     const [formData, setFormData] = useState({
         teamName: '',
         teamLeader: '',
         teamMembers: '',
         email: '',
-        theme: ''
+        theme: '',
+        usePins: false
     })
 
     if (success) {
@@ -34,6 +36,7 @@ export default function Register({ team, setTeam }) {
                 <p style={{ fontSize: '1rem', marginBottom: '20px', color: '#b3b3b3' }}>
                     Theme: {formData.theme}
                 </p>
+                {credentials && <ResumeCredentials credentials={credentials} />}
                 <div style={{
                     display: 'inline-block',
                     padding: '25px 40px',
@@ -121,7 +124,8 @@ export default function Register({ team, setTeam }) {
                 return
             }
 
-            setTeam(data.team)
+            setTeam({ ...data.team, token: data.token })
+            setCredentials({ resumeCode: data.resumeCode, memberPins: data.memberPins })
             setSuccess(true)
         } catch (err) {
             setErrors({ submit: 'Failed to connect to server. Make sure backend is running.' })
@@ -131,7 +135,8 @@ export default function Register({ team, setTeam }) {
     }
 
     const handleChange = (e) => {
-        const { name, value } = e.target
+        const { name, type, checked } = e.target
+        const value = type === 'checkbox' ? checked : e.target.value
         setFormData(prev => ({ ...prev, [name]: value }))
         if (errors[name]) {
             setErrors(prev => ({ ...prev, [name]: '' }))
@@ -235,6 +240,18 @@ export default function Register({ team, setTeam }) {
                         {errors.theme && <p className="form-error">{errors.theme}</p>}
                     </div>
 
+                    <div className="form-group">
+                        <label style={{ display: 'flex', alignItems: 'center', gap: '10px', cursor: 'pointer' }}>
+                            <input
+                                type="checkbox"
+                                name="usePins"
+                                checked={formData.usePins}
+                                onChange={handleChange}
+                            />
+                            <span>Give each member a personal PIN for resuming on another device</span>
+                        </label>
+                    </div>
+
                     <button type="submit" className="btn btn-primary btn-large" disabled={loading} style={{ width: '100%', marginTop: '20px' }}>
                         {loading ? 'Registering...' : 'Register Team'}
                     </button>
@@ -243,3 +260,37 @@ export default function Register({ team, setTeam }) {
         </div>
     )
 }
+
+function ResumeCredentials({ credentials }) {
+    return (
+        <div style={{
+            maxWidth: '500px',
+            margin: '0 auto 25px',
+            padding: '25px 30px',
+            background: 'rgba(255, 215, 0, 0.08)',
+            border: '2px solid #FFD700',
+            borderRadius: '15px'
+        }}>
+            <p style={{ color: '#FFD700', fontFamily: 'Orbitron', fontSize: '0.85rem', marginBottom: '10px' }}>
+                <KeyRound size={16} style={{ marginRight: '8px', verticalAlign: 'middle' }} />
+                YOUR RESUME CODE
+            </p>
+            <p style={{ fontFamily: 'Orbitron', fontSize: '2rem', color: '#fff', letterSpacing: '4px', margin: '0 0 10px' }}>
+                {credentials.resumeCode}
+            </p>
+            {credentials.memberPins && (
+                <div style={{ textAlign: 'left', margin: '15px 0' }}>
+                    {Object.entries(credentials.memberPins).map(([member, pin]) => (
+                        <p key={member} style={{ margin: '4px 0' }}>
+                            <strong>{member}:</strong>{' '}
+                            <span style={{ fontFamily: 'Orbitron', color: '#FFD700' }}>{pin}</span>
+                        </p>
+                    ))}
+                </div>
+            )}
+            <p style={{ color: '#b3b3b3', fontSize: '0.9rem', margin: 0 }}>
+                Write this down now - it is shown only once and is the only way to resume your team on another device.
+            </p>
+        </div>
+    )
+}